@@ -0,0 +1,57 @@
+// Computer players that fill out small groups. A bot has a fixed impression of every
+// player, derived from the two names, so it ranks consistently from round to round
+// (with some noise per question) and guesses by assuming the ranker sees the group
+// the way it does. Bots only decide; the server submits their moves through the same
+// paths as everyone else's.
+const MAX_BOTS = 5;
+const BOT_NAMES = ['Beep', 'Boop', 'Sprocket', 'Gizmo', 'Pixel', 'Widget', 'Cog', 'Servo'];
+// How much a single question can shuffle a bot's usual order, on a 0-1 scale
+const RANKING_NOISE = 0.35;
+
+// First bot name nobody in the game is using
+function pickBotName(takenNames) {
+    const free = BOT_NAMES.find(name => !takenNames.includes(name));
+    if (free) return free;
+    for (let n = 2; ; n++) {
+        if (!takenNames.includes(`Bot ${n}`)) return `Bot ${n}`;
+    }
+}
+
+// Stable number in [0, 1) for a bot's impression of a player
+function impression(bot, player) {
+    let hash = 2166136261;
+    for (const char of `${bot}:${player}`) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+// The bot's usual order for the group, most likely first
+function usualOrder(bot, players) {
+    return [...players].sort((a, b) => impression(bot, b) - impression(bot, a));
+}
+
+function botRanking(bot, players, rng = Math.random) {
+    const scores = Object.fromEntries(players.map(player => [player, impression(bot, player) + rng() * RANKING_NOISE]));
+    return [...players].sort((a, b) => scores[b] - scores[a]);
+}
+
+// A guess of the kind the reveal asks for:
+//   position: where `target` sits in the ranking (1-based)
+//   fullRanking: the whole order
+//   ranker: whose ranking it is, never the bot itself
+function botGuess(bot, { kind, players, target }, rng = Math.random) {
+    if (kind === 'ranker') {
+        const others = players.filter(player => player !== bot);
+        return others[Math.floor(rng() * others.length)];
+    }
+    const order = usualOrder(bot, players);
+    return kind === 'fullRanking' ? order : order.indexOf(target) + 1;
+}
+
+// Delay before a bot moves, so it reads like someone thinking
+function botThinkingTime(rng = Math.random) {
+    return 1500 + Math.floor(rng() * 2500);
+}
+
+module.exports = { MAX_BOTS, pickBotName, botRanking, botGuess, botThinkingTime };
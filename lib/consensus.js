@@ -0,0 +1,33 @@
+// Group consensus for a shared-question round, where every player ranked the same
+// question. Rankings are combined with a Borda count: on a ranking of n players the
+// one placed first gets n - 1 points, the next n - 2 and so on down to 0. Ties on
+// points are broken by name so everyone sees the same order.
+
+// Sum of how many places each player was moved: 0 for identical rankings
+function rankingDistance(ranking, reference) {
+    return reference.reduce((sum, player, i) => sum + Math.abs(ranking.indexOf(player) - i), 0);
+}
+
+// { ranking, bordaPoints: { [player]: points }, divergence: { [ranker]: distance }, mostControversial: [rankers] }
+// mostControversial lists whoever strayed furthest from the consensus, and is empty if everyone agreed.
+function buildConsensus(rankings, players) {
+    const bordaPoints = Object.fromEntries(players.map(player => [player, 0]));
+    for (const ranking of Object.values(rankings)) {
+        ranking.forEach((player, i) => {
+            if (player in bordaPoints) bordaPoints[player] += ranking.length - 1 - i;
+        });
+    }
+    const ranking = [...players].sort((a, b) => bordaPoints[b] - bordaPoints[a] || a.localeCompare(b));
+
+    const divergence = {};
+    for (const [ranker, theirRanking] of Object.entries(rankings)) {
+        divergence[ranker] = rankingDistance(theirRanking, ranking);
+    }
+    const furthest = Math.max(0, ...Object.values(divergence));
+    const mostControversial = furthest > 0
+        ? Object.keys(divergence).filter(ranker => divergence[ranker] === furthest)
+        : [];
+    return { ranking, bordaPoints, divergence, mostControversial };
+}
+
+module.exports = { buildConsensus };
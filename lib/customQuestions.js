@@ -0,0 +1,62 @@
+const stringSimilarity = require('string-similarity');
+
+const QUESTION_PREFIX = 'Who is the most likely to';
+const MAX_CUSTOM_QUESTIONS = 200;
+const MAX_INPUT_LENGTH = 20000;
+const MAX_QUESTION_LENGTH = 200;
+
+// Turn one pasted line into a full question. Hosts can write either the whole
+// question or just the ending ("forget their own birthday?"); list bullets and
+// numbering are stripped.
+function normalizeQuestion(line) {
+    let text = line.trim().replace(/^([-*•]|\d+[.)])\s*/, '').replace(/\s+/g, ' ');
+    if (!text) return '';
+    if (!text.toLowerCase().startsWith(QUESTION_PREFIX.toLowerCase())) {
+        text = `${QUESTION_PREFIX} ${text.replace(/^\.{3}|^…/, '').trim()}`;
+    } else {
+        text = QUESTION_PREFIX + text.slice(QUESTION_PREFIX.length);
+    }
+    if (!text.endsWith('?')) text += '?';
+    return text;
+}
+
+// Parse a host's pasted or uploaded list into validated, de-duplicated questions.
+// Returns { questions, rejected: [{ text, reason }] } or { error } for unusable input.
+function parseCustomQuestions(input, { similarityThreshold, usedQuestions = new Set() }) {
+    if (typeof input !== 'string') return { error: 'Custom questions must be text' };
+    if (input.length > MAX_INPUT_LENGTH) {
+        return { error: `Custom questions are too long (max ${MAX_INPUT_LENGTH} characters)` };
+    }
+
+    const questions = [];
+    const rejected = [];
+    for (const line of input.split(/\r?\n/)) {
+        const question = normalizeQuestion(line);
+        if (!question) continue;
+        if (question.length > MAX_QUESTION_LENGTH) {
+            rejected.push({ text: line.trim(), reason: 'too long' });
+            continue;
+        }
+        if (question.slice(QUESTION_PREFIX.length, -1).trim().length < 3) {
+            rejected.push({ text: line.trim(), reason: 'too short' });
+            continue;
+        }
+        if (usedQuestions.has(question)) {
+            rejected.push({ text: question, reason: 'already used this game' });
+            continue;
+        }
+        const similar = questions.find(q => stringSimilarity.compareTwoStrings(question, q) > similarityThreshold);
+        if (similar) {
+            rejected.push({ text: question, reason: `too similar to "${similar}"` });
+            continue;
+        }
+        if (questions.length >= MAX_CUSTOM_QUESTIONS) {
+            rejected.push({ text: question, reason: `over the ${MAX_CUSTOM_QUESTIONS} question limit` });
+            continue;
+        }
+        questions.push(question);
+    }
+    return { questions, rejected };
+}
+
+module.exports = { parseCustomQuestions };
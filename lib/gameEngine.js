@@ -0,0 +1,773 @@
+// The game rules as a state machine, independent of Socket.io, timers and storage.
+// A game moves waiting → ranking → guessing → reveal → (guessing | ranking) → gameOver.
+//
+// dispatch(game, action) never touches `game`: it works on a copy and returns
+//   { game, events, error, accepted, onlyFor }
+// where `game` is the next state (the same object when the action was refused or
+// didn't apply), `error` is a message for whoever sent the action, `onlyFor` names the
+// one player whose view changed when nobody else needs an update, and `events` are
+// things the caller has to carry out:
+//   { type: 'log', message }
+//   { type: 'questionsNeeded', reason: 'round' | 'reroll', count, player }
+//       answer with startRound { questions } or offerQuestions { player, questions }
+//   { type: 'questionsUsed', questions }        questions now in play that the host didn't write
+//   { type: 'error', to, action, message }      a late refusal of `to`'s earlier `action`
+//   { type: 'spectatorJoined', player }
+//   { type: 'ownerChanged', newOwner }
+//   { type: 'playerRemoved', player, reason }   the host kicked or banned them
+//   { type: 'customQuestionsResult', player, accepted, rejected }
+//   { type: 'rematchCreated', gameId, game }
+//   { type: 'gameEmpty' }                       nobody is left; the game should be deleted
+// Phase deadlines are stored on the game (phaseDeadline); when one passes the caller
+// dispatches phaseTimeout { phase }.
+//
+// Randomness and the clock are injected, so a seeded `random` and a fixed `now` give
+// the same game every time.
+const { defaultSettings, applySettings } = require('./gameSettings');
+const { parseCustomQuestions } = require('./customQuestions');
+const { recordReveal } = require('./gameHistory');
+const { scoreReveal, scoreFullRanking, scoreWhoseRanking } = require('./scoring');
+const { buildConsensus } = require('./consensus');
+const { pickTargets } = require('./targetSelection');
+const { MAX_BOTS, pickBotName } = require('./bots');
+
+const PHASE_TIMER_SETTINGS = {
+    ranking: 'rankingSeconds',
+    guessing: 'guessingSeconds',
+    reveal: 'revealSeconds'
+};
+
+function isFullRankingReveal(game) {
+    return game.settings.revealMode === 'fullRanking' && !isAnonymousRound(game);
+}
+
+function isConsensusRound(game) {
+    return game.settings.gameMode === 'consensus';
+}
+
+function isAnonymousRound(game) {
+    return game.settings.gameMode === 'anonymous';
+}
+
+function isBot(game, playerName) {
+    return (game.bots || []).includes(playerName);
+}
+
+function isBanned(game, playerName, token) {
+    return (game.bannedNames || []).includes(playerName)
+        || (!!token && (game.bannedTokens || []).includes(token));
+}
+
+// Names the per-player maps can't hold: they'd read back Object.prototype's members
+function isReservedName(playerName) {
+    return Object.hasOwn(Object.prototype, playerName);
+}
+
+function isCustomQuestion(game, question) {
+    return (game.customQuestions || []).includes(question);
+}
+
+// The ranking being guessed: the current ranker's, or in a consensus round the group's
+function getRevealedRanking(game) {
+    return game.currentRanker ? game.rankings[game.currentRanker] : game.consensus.ranking;
+}
+
+// Every player exactly once
+function isCompleteRanking(game, ranking) {
+    return Array.isArray(ranking)
+        && ranking.length === game.players.length
+        && new Set(ranking).size === ranking.length
+        && ranking.every(p => game.players.includes(p));
+}
+
+// Who can't be a target in `ranker`'s reveal. With nobody else to ask about, the ranker stays in
+function getExcludedTarget(game, ranker) {
+    return game.settings.rankerCanBeTarget || game.players.length < 2 ? null : ranker;
+}
+
+// Every player except the ranker has guessed (or been marked as not guessing)
+function allGuessesIn(game) {
+    return game.players
+        .filter(p => p !== game.currentRanker)
+        .every(p => game.currentGuesses[p] !== undefined);
+}
+
+// What `player` still owes the current phase: 'ranking', 'guess' or null
+function pendingMove(game, player) {
+    if (!game.players.includes(player) || game.awaitingQuestions) return null;
+    if (game.state === 'ranking') return game.rankings[player] ? null : 'ranking';
+    if (game.state === 'guessing') {
+        return player !== game.currentRanker && game.currentGuesses[player] === undefined ? 'guess' : null;
+    }
+    return null;
+}
+
+// What a guess looks like this reveal: 'position' of the target, the 'fullRanking' or the 'ranker'
+function guessKind(game) {
+    if (isAnonymousRound(game)) return 'ranker';
+    return isFullRankingReveal(game) ? 'fullRanking' : 'position';
+}
+
+// Questions a round start needs: one each, or in a consensus round one everybody shares
+function roundQuestionCount(game) {
+    return isConsensusRound(game) ? 1 : game.players.length;
+}
+
+// Per-player tallies shown on the game-over screen
+function getPlayerStats(game, name) {
+    game.stats = game.stats || {};
+    game.stats[name] = game.stats[name] || { guesses: 0, correctGuesses: 0, rankerPoints: 0 };
+    return game.stats[name];
+}
+
+// Points for the current reveal, whichever kind of guess it asked for
+function scoreCurrentReveal(game, actualRanking) {
+    const { scoring, pointsCap } = game.settings;
+    const guesses = game.currentGuesses;
+    const wagers = game.currentWagers || {};
+    if (isAnonymousRound(game)) {
+        return scoreWhoseRanking({ guesses, ranker: game.currentRanker, pointsCap, wagers });
+    }
+    if (isFullRankingReveal(game)) {
+        return scoreFullRanking(scoring, { guesses, actualRanking, pointsCap });
+    }
+    return scoreReveal(scoring, { guesses, actualPosition: game.actualPosition, pointsCap, wagers });
+}
+
+function clearRevealState(game) {
+    game.currentRanker = null;
+    game.currentTarget = null;
+    game.currentQuestion = null;
+    game.currentGuesses = {};
+    game.currentWagers = {};
+    game.actualPosition = null;
+    game.currentFullRanking = null;
+}
+
+const ignored = () => ({ ignored: true });
+const rejected = (message) => ({ error: message });
+// Accepted, and only `player` needs to see it (unless the phase moved on as a result)
+const onlyFor = (player) => ({ onlyFor: player });
+
+function createGameEngine({ random = Math.random, now = Date.now } = {}) {
+    const shuffle = (items) => [...items].sort(() => random() - 0.5);
+
+    // A new game in the waiting room with `owner` as its only player
+    function createGame(owner, sessionToken = null) {
+        return {
+            players: [owner],
+            spectators: [],
+            points: { [owner]: 0 },
+            state: 'waiting',
+            owner,
+            usedQuestions: new Set(),
+            questionAssignments: {},
+            rankings: {},
+            currentRanker: null,
+            currentTarget: null,
+            currentQuestion: null,
+            currentGuesses: {},
+            currentWagers: {},
+            actualPosition: null,
+            currentFullRanking: null,
+            consensus: null,
+            // Rerolls each player has spent this round, and questions offered but not yet picked
+            rerollsUsed: {},
+            questionOffers: {},
+            rankers: [],
+            currentRevealIndex: 0,
+            currentTargetIndex: 0,
+            revealTargets: [],
+            // Times each player has been a target this game, to share the spotlight evenly
+            targetCounts: {},
+            round: 0,
+            // Set while a round's questions are being fetched; the game holds still until they arrive
+            awaitingQuestions: false,
+            history: [],
+            stats: {},
+            endReason: null,
+            settings: defaultSettings(),
+            customQuestions: [],
+            noMoreQuestions: false,
+            sessionTokens: sessionToken ? { [owner]: sessionToken } : {},
+            // Host moderation: a locked game takes no newcomers; banned names and session
+            // tokens can't get back in
+            locked: false,
+            bannedNames: [],
+            bannedTokens: [],
+            // Players run by the server; they sit in players like anyone else
+            bots: [],
+            phaseDeadline: null,
+            phaseDuration: null,
+            lastActivity: now()
+        };
+    }
+
+    // Start the countdown for the game's current phase, if the host enabled one
+    function startPhaseTimer(game) {
+        const seconds = game.settings[PHASE_TIMER_SETTINGS[game.state]] || 0;
+        game.phaseDuration = seconds > 0 ? seconds * 1000 : null;
+        game.phaseDeadline = seconds > 0 ? now() + game.phaseDuration : null;
+    }
+
+    // reason: 'rounds' (the host's round limit was reached), 'questions' (ran out), 'host'
+    // or 'players' (fewer than two left mid-round)
+    function endGame(game, events, reason) {
+        events.push({ type: 'log', message: `Game over after ${game.round} round(s) (${reason})` });
+        game.state = 'gameOver';
+        game.endReason = reason;
+        game.awaitingQuestions = false;
+        clearRevealState(game);
+        game.phaseDeadline = null;
+        game.phaseDuration = null;
+    }
+
+    // Promote spectators and ask for the next round's questions, unless the game is over
+    function startNewRound(game, events) {
+        if (game.settings.rounds > 0 && game.round >= game.settings.rounds) {
+            endGame(game, events, 'rounds');
+            return;
+        }
+        events.push({ type: 'log', message: 'Starting new round' });
+        (game.spectators || []).forEach(name => {
+            if (!game.players.includes(name)) {
+                game.players.push(name);
+                if (!game.points[name]) game.points[name] = 0;
+            }
+        });
+        game.spectators = [];
+        requestRoundQuestions(game, events);
+    }
+
+    function requestRoundQuestions(game, events) {
+        game.awaitingQuestions = true;
+        game.phaseDeadline = null;
+        game.phaseDuration = null;
+        events.push({ type: 'questionsNeeded', reason: 'round', count: roundQuestionCount(game) });
+    }
+
+    function setNextReveal(game, events) {
+        // A consensus round has a single reveal, of the group's ranking, with no ranker
+        const isConsensus = isConsensusRound(game);
+        const revealCount = isConsensus ? 1 : game.rankers.length;
+        // Rankers who left since the round started have nothing left to reveal
+        while (!isConsensus && game.currentRevealIndex < revealCount && !game.players.includes(game.rankers[game.currentRevealIndex])) {
+            game.currentRevealIndex += 1;
+        }
+        if (game.currentRevealIndex >= revealCount) {
+            startNewRound(game, events);
+            return;
+        }
+        if (isConsensus && !game.consensus) {
+            game.consensus = buildConsensus(game.rankings, game.players);
+            events.push({ type: 'log', message: `Consensus ranking ${game.consensus.ranking.join(' > ')}` });
+        }
+        const ranker = isConsensus ? null : game.rankers[game.currentRevealIndex];
+        // Pick all of this ranker's targets when their reveal starts. Whole-ranking and
+        // anonymous reveals have a single step with no target: guessers order everyone at
+        // once, or say whose ranking it is
+        if (game.currentTargetIndex === 0) {
+            game.targetCounts = game.targetCounts || {};
+            game.revealTargets = isFullRankingReveal(game) || isAnonymousRound(game)
+                ? [null]
+                : pickTargets({
+                    players: game.players,
+                    count: game.settings.targetsPerReveal,
+                    targetCounts: game.targetCounts,
+                    exclude: getExcludedTarget(game, ranker),
+                    random
+                });
+        }
+        const target = game.revealTargets[game.currentTargetIndex];
+        game.currentRanker = ranker;
+        game.currentTarget = target;
+        game.currentQuestion = isConsensus ? game.questionAssignments[game.players[0]] : game.questionAssignments[ranker];
+        game.currentGuesses = {};
+        game.currentWagers = {};
+        game.actualPosition = target ? getRevealedRanking(game).indexOf(target) + 1 : null;
+        game.currentFullRanking = null;
+        game.state = 'guessing';
+        events.push({ type: 'log', message: `Starting guess for ${ranker ? `ranker ${ranker}` : 'the consensus'}, target ${target}` });
+        startPhaseTimer(game);
+        // With nobody but the ranker left to guess, there's nothing to wait for
+        if (allGuessesIn(game)) revealGuesses(game, events);
+    }
+
+    // Score the current target once every guess is in (or the guessing timer ran out)
+    function revealGuesses(game, events) {
+        const ranker = game.currentRanker;
+        const actualRanking = getRevealedRanking(game);
+        const { guesserPoints, rankerPoints, wagerResults } = scoreCurrentReveal(game, actualRanking);
+        // What a single guess has to match: the ranker's name, or the target's position
+        const answer = isAnonymousRound(game) ? ranker : game.actualPosition;
+        Object.entries(guesserPoints).forEach(([guesser, points]) => {
+            const guess = game.currentGuesses[guesser];
+            const stats = getPlayerStats(game, guesser);
+            if (Array.isArray(guess)) {
+                // A whole-ranking guess counts slot by slot
+                stats.guesses += guess.length;
+                stats.correctGuesses += guess.filter((player, i) => player === actualRanking[i]).length;
+            } else if (guess !== null) {
+                // A null guess means the guessing timer ran out before they answered
+                stats.guesses += 1;
+                if (guess === answer) stats.correctGuesses += 1;
+            }
+            game.points[guesser] = (game.points[guesser] || 0) + points;
+        });
+        game.revealPoints = { ...guesserPoints };
+        // Nobody owns the consensus, so there are no ranker points for it
+        if (ranker) {
+            game.points[ranker] = (game.points[ranker] || 0) + rankerPoints;
+            getPlayerStats(game, ranker).rankerPoints += rankerPoints;
+            game.revealPoints[ranker] = rankerPoints;
+            events.push({ type: 'log', message: `Awarded ${rankerPoints} points to ranker ${ranker} (${game.settings.scoring} scoring)` });
+        }
+        game.wagerResults = wagerResults;
+        game.players.sort((a, b) => (game.points[b] || 0) - (game.points[a] || 0));
+        // Hold the full ranking back until this ranker's last target has been guessed
+        const isLastTarget = game.currentTargetIndex >= game.revealTargets.length - 1;
+        game.currentFullRanking = isLastTarget ? actualRanking : null;
+        recordReveal(game, game.revealPoints);
+        game.state = 'reveal';
+        startPhaseTimer(game);
+    }
+
+    // Move on to the ranker's next target, the next ranker, or a new round
+    function advanceReveal(game, events) {
+        game.currentTargetIndex += 1;
+        if (game.currentTargetIndex >= game.revealTargets.length) {
+            game.currentTargetIndex = 0;
+            game.currentRevealIndex += 1;
+        }
+        setNextReveal(game, events);
+    }
+
+    // Patch up a running round once a player has gone: they disappear from every ranking
+    // and guess, and a phase that could only finish with them moves on
+    function repairRoundAfterLeave(game, events, playerName) {
+        for (const [ranker, ranking] of Object.entries(game.rankings || {})) {
+            game.rankings[ranker] = ranking.filter(p => p !== playerName);
+        }
+        for (const [guesser, guess] of Object.entries(game.currentGuesses || {})) {
+            if (Array.isArray(guess)) game.currentGuesses[guesser] = guess.filter(p => p !== playerName);
+        }
+        delete game.currentGuesses[playerName];
+        delete (game.currentWagers || {})[playerName];
+        if (game.consensus) game.consensus = buildConsensus(game.rankings, game.players);
+        // Targets still to come in this reveal; if it was the leaver's own, there are none
+        game.revealTargets = (game.revealTargets || []).filter((target, i) => i <= game.currentTargetIndex || target !== playerName);
+        if (playerName === game.currentRanker) game.revealTargets = game.revealTargets.slice(0, game.currentTargetIndex + 1);
+        // A round needs someone to rank and someone to guess
+        if (game.state !== 'waiting' && game.state !== 'gameOver' && game.players.length < 2) {
+            endGame(game, events, 'players');
+            return;
+        }
+        if (game.awaitingQuestions) return;
+
+        if (game.state === 'ranking') {
+            if (game.players.every(p => game.rankings[p])) setNextReveal(game, events);
+            return;
+        }
+        if (game.state !== 'guessing') return;
+
+        if (playerName === game.currentRanker) {
+            events.push({ type: 'log', message: `Ranker ${playerName} left, skipping their reveal` });
+            game.currentTargetIndex = 0;
+            game.currentRevealIndex += 1;
+            setNextReveal(game, events);
+            return;
+        }
+        if (playerName === game.currentTarget) {
+            const [replacement] = pickTargets({
+                players: game.players.filter(p => !game.revealTargets.includes(p)),
+                count: 1,
+                targetCounts: game.targetCounts || {},
+                exclude: getExcludedTarget(game, game.currentRanker),
+                random
+            });
+            if (!replacement) {
+                advanceReveal(game, events);
+                return;
+            }
+            // Guesses so far were about the player who left
+            events.push({ type: 'log', message: `Target ${playerName} left, asking about ${replacement} instead` });
+            game.revealTargets[game.currentTargetIndex] = replacement;
+            game.currentTarget = replacement;
+            game.currentGuesses = {};
+            game.currentWagers = {};
+        }
+        // Positions below the leaver moved up one
+        if (game.currentTarget) game.actualPosition = getRevealedRanking(game).indexOf(game.currentTarget) + 1;
+        if (allGuessesIn(game)) revealGuesses(game, events);
+    }
+
+    function removePlayer(game, events, playerName) {
+        const specIdx = (game.spectators || []).indexOf(playerName);
+        if (specIdx !== -1) {
+            game.spectators.splice(specIdx, 1);
+            delete (game.sessionTokens || {})[playerName];
+            return;
+        }
+
+        game.players.splice(game.players.indexOf(playerName), 1);
+        delete game.points[playerName];
+        delete game.questionAssignments[playerName];
+        delete game.rankings[playerName];
+        delete (game.sessionTokens || {})[playerName];
+        delete (game.questionOffers || {})[playerName];
+        game.bots = (game.bots || []).filter(name => name !== playerName);
+
+        // Bots can't keep a game going on their own
+        const humans = game.players.filter(name => !isBot(game, name));
+        if (humans.length === 0) {
+            events.push({ type: 'log', message: 'No players left, deleting game' });
+            events.push({ type: 'gameEmpty' });
+            return;
+        }
+
+        if (game.owner === playerName) {
+            game.owner = humans[0];
+            events.push({ type: 'log', message: `Owner reassigned to ${game.owner}` });
+            events.push({ type: 'ownerChanged', newOwner: game.owner });
+        }
+
+        events.push({ type: 'log', message: `${playerName} removed` });
+        repairRoundAfterLeave(game, events, playerName);
+    }
+
+    // Swap in a new question for one player
+    function giveQuestion(game, events, player, question) {
+        game.questionAssignments[player] = question;
+        if (!isCustomQuestion(game, question)) events.push({ type: 'questionsUsed', questions: [question] });
+        events.push({ type: 'log', message: `${player} got a new question: ${question}` });
+    }
+
+    function isInGame(game, name) {
+        return game.players.includes(name) || (game.spectators || []).includes(name);
+    }
+
+    // Each action takes (game, action, events), may change `game`, and returns nothing
+    // when the action went through (or onlyFor(player) when nobody else needs to see it),
+    // ignored() when it doesn't apply, or rejected(message)
+    const ACTIONS = {
+        // A newcomer takes a seat: a player in the waiting room, a spectator mid-game.
+        // `token` is whatever the browser last held for this game, so a ban sticks across
+        // names; `sessionToken` is the new seat's
+        join(game, { player, token, sessionToken }, events) {
+            if (isBanned(game, player, token)) return rejected('You have been banned from this game');
+            if (game.locked) return rejected('The host has locked this game');
+            if (isInGame(game, player)) return rejected('Name already taken');
+            if (isReservedName(player)) return rejected('That name is reserved, pick another');
+            game.sessionTokens = game.sessionTokens || {};
+            game.sessionTokens[player] = sessionToken;
+            if (game.state !== 'waiting') {
+                game.spectators = game.spectators || [];
+                game.spectators.push(player);
+                events.push({ type: 'spectatorJoined', player });
+                events.push({ type: 'log', message: `${player} joined as spectator` });
+                return onlyFor(player);
+            }
+            game.players.push(player);
+            game.points[player] = 0;
+            events.push({ type: 'log', message: `${player} joined` });
+        },
+
+        // The player left for good (or their rejoin grace period ran out)
+        removePlayer(game, { player }, events) {
+            if (!isInGame(game, player)) return ignored();
+            removePlayer(game, events, player);
+        },
+
+        kickPlayer(game, { player, target }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can remove players');
+            if (target === game.owner) return rejected('You cannot remove yourself. Hand host to someone else and leave instead');
+            if (!isInGame(game, target)) return rejected('That player is not in this game');
+            events.push({ type: 'log', message: `${target} kicked by the host` });
+            events.push({ type: 'playerRemoved', player: target, reason: 'kicked' });
+            removePlayer(game, events, target);
+        },
+
+        banPlayer(game, { player, target }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can ban players');
+            if (target === game.owner) return rejected('You cannot ban yourself');
+            if (!isInGame(game, target)) return rejected('That player is not in this game');
+            game.bannedNames = [...(game.bannedNames || []), target];
+            const token = (game.sessionTokens || {})[target];
+            if (token) game.bannedTokens = [...(game.bannedTokens || []), token];
+            events.push({ type: 'log', message: `${target} banned by the host` });
+            events.push({ type: 'playerRemoved', player: target, reason: 'banned' });
+            removePlayer(game, events, target);
+        },
+
+        setLobbyLocked(game, { player, locked }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can lock the game');
+            game.locked = locked === true;
+            events.push({ type: 'log', message: `${game.locked ? 'Locked' : 'Unlocked'} by the host` });
+        },
+
+        transferHost(game, { player, target }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can hand over host');
+            if (target === game.owner || !game.players.includes(target)) return rejected('Pick another player in the game to be host');
+            if (isBot(game, target)) return rejected('Bots cannot host');
+            game.owner = target;
+            events.push({ type: 'log', message: `Host handed to ${target}` });
+            events.push({ type: 'ownerChanged', newOwner: game.owner });
+        },
+
+        addBot(game, { player }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can add bots');
+            if (game.state !== 'waiting') return rejected('Bots can only be added before the game starts');
+            if ((game.bots || []).length >= MAX_BOTS) return rejected(`A game can have up to ${MAX_BOTS} bots`);
+            const bot = pickBotName([...game.players, ...(game.spectators || [])]);
+            game.bots = [...(game.bots || []), bot];
+            game.players.push(bot);
+            game.points[bot] = 0;
+            events.push({ type: 'log', message: `Bot ${bot} added` });
+        },
+
+        // `packIds` are the question packs the server has loaded
+        updateSettings(game, { player, settings, packIds }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can change settings');
+            if (game.state !== 'waiting') return rejected('Settings can only be changed before the game starts');
+            const result = applySettings(game.settings, settings, { packIds });
+            if (result.error) return rejected(result.error);
+            game.settings = result.settings;
+            events.push({ type: 'log', message: `Settings updated: ${JSON.stringify(game.settings)}` });
+        },
+
+        setCustomQuestions(game, { player, text, similarityThreshold }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can add custom questions');
+            if (game.state !== 'waiting') return rejected('Custom questions can only be changed before the game starts');
+            const result = parseCustomQuestions(text, { similarityThreshold, usedQuestions: game.usedQuestions });
+            if (result.error) return rejected(result.error);
+            game.customQuestions = result.questions;
+            events.push({ type: 'log', message: `${result.questions.length} custom questions set, ${result.rejected.length} rejected` });
+            events.push({ type: 'customQuestionsResult', player, accepted: result.questions.length, rejected: result.rejected });
+        },
+
+        startGame(game, { player }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can start the game');
+            // Ignore repeat clicks while the first round's questions are still being fetched
+            if (game.state !== 'waiting' || game.awaitingQuestions) return ignored();
+            requestRoundQuestions(game, events);
+        },
+
+        // The questions asked for by questionsNeeded { reason: 'round' }. Too few ends the
+        // game, or back in the waiting room just tells the host.
+        startRound(game, { questions }, events) {
+            if (!game.awaitingQuestions || game.state === 'gameOver') return ignored();
+            game.awaitingQuestions = false;
+            const isConsensus = isConsensusRound(game);
+            const numQuestions = roundQuestionCount(game);
+            if (questions.length < numQuestions) {
+                events.push({ type: 'log', message: `Failed to fetch enough questions (${questions.length}/${numQuestions})` });
+                if (game.state === 'waiting') {
+                    events.push({ type: 'error', to: game.owner, action: 'startGame', message: 'No more unique questions available.' });
+                } else {
+                    endGame(game, events, 'questions');
+                }
+                return;
+            }
+            const shuffled = shuffle(questions);
+            shuffled.forEach(question => game.usedQuestions.add(question));
+            events.push({ type: 'questionsUsed', questions: shuffled.filter(question => !isCustomQuestion(game, question)) });
+            game.questionAssignments = {};
+            game.rankings = {};
+            game.consensus = null;
+            game.rerollsUsed = {};
+            game.questionOffers = {};
+            game.rankers = shuffle(game.players);
+            game.currentRevealIndex = 0;
+            game.currentTargetIndex = 0;
+            game.revealTargets = [];
+            game.players.forEach((player, idx) => {
+                game.questionAssignments[player] = isConsensus ? shuffled[0] : shuffled[idx];
+                events.push({ type: 'log', message: `Assigned question to ${player}: ${game.questionAssignments[player]}` });
+            });
+            clearRevealState(game);
+            game.round += 1;
+            game.state = 'ranking';
+            startPhaseTimer(game);
+        },
+
+        // Swap the player's question for a fresh one, out of their rerolls for the round. When
+        // the host offers a choice, the new questions wait in questionOffers for pickQuestion
+        rerollQuestion(game, { player }, events) {
+            if (game.state !== 'ranking' || game.awaitingQuestions) return ignored();
+            if (game.rankings[player]) return ignored(); // already submitted, too late
+            if (!game.settings.rerollsPerRound) return rejected('The host has turned off question rerolls');
+            if (isConsensusRound(game)) return rejected('Everyone shares one question this round, so rerolls are off');
+            game.rerollsUsed = game.rerollsUsed || {};
+            game.questionOffers = game.questionOffers || {};
+            if (game.questionOffers[player]) return ignored(); // still choosing from the last offer
+            if ((game.rerollsUsed[player] || 0) >= game.settings.rerollsPerRound) return rejected('No rerolls left this round');
+            // Spend the reroll before drawing so a double click can't draw twice
+            game.rerollsUsed[player] = (game.rerollsUsed[player] || 0) + 1;
+            events.push({ type: 'questionsNeeded', reason: 'reroll', count: game.settings.questionChoices || 1, player });
+            return onlyFor(player);
+        },
+
+        // The questions asked for by questionsNeeded { reason: 'reroll' }. None at all
+        // gives the reroll back.
+        offerQuestions(game, { player, questions }, events) {
+            if (questions.length === 0) {
+                game.rerollsUsed[player] = Math.max(0, (game.rerollsUsed[player] || 0) - 1);
+                events.push({ type: 'error', to: player, action: 'rerollQuestion', message: 'No new question available, sorry!' });
+                return onlyFor(player);
+            }
+            // The round may have moved on while the questions were being fetched
+            if (game.state !== 'ranking' || game.rankings[player] || !game.players.includes(player)) return ignored();
+            questions.forEach(question => game.usedQuestions.add(question));
+            if (questions.length === 1) {
+                giveQuestion(game, events, player, questions[0]);
+            } else {
+                game.questionOffers[player] = questions;
+                events.push({ type: 'log', message: `${player} was offered ${questions.length} questions` });
+            }
+            return onlyFor(player);
+        },
+
+        // Settle an offer: take offered question number `choice`, or keep the current
+        // question when there's no choice
+        pickQuestion(game, { player, choice }, events) {
+            if (game.state !== 'ranking') return ignored();
+            const offers = (game.questionOffers || {})[player];
+            if (!offers) return ignored();
+            if (choice !== undefined && choice !== null && !offers[choice]) return rejected('Invalid choice');
+            delete game.questionOffers[player];
+            if (offers[choice]) giveQuestion(game, events, player, offers[choice]);
+            return onlyFor(player);
+        },
+
+        submitRanking(game, { player, ranking }, events) {
+            if (!game.players.includes(player) || game.state !== 'ranking' || game.awaitingQuestions) return ignored();
+            if (!isCompleteRanking(game, ranking)) return rejected('Invalid ranking');
+            game.rankings[player] = ranking;
+            events.push({ type: 'log', message: `${player} submitted ranking` });
+            if (Object.keys(game.rankings).length === game.players.length) setNextReveal(game, events);
+            return onlyFor(player);
+        },
+
+        submitGuess(game, { player, guess, wager = 0 }, events) {
+            if (!game.players.includes(player) || game.state !== 'guessing') return ignored();
+            if (player === game.currentRanker) return rejected('You cannot guess as the ranker');
+            const isFullRanking = isFullRankingReveal(game);
+            const isAnonymous = isAnonymousRound(game);
+            let isValidGuess;
+            if (isFullRanking) {
+                isValidGuess = isCompleteRanking(game, guess);
+            } else if (isAnonymous) {
+                // Anyone but yourself: you know which ranking is yours
+                isValidGuess = game.players.includes(guess) && guess !== player;
+            } else {
+                isValidGuess = Number.isInteger(guess) && guess >= 1 && guess <= game.players.length;
+            }
+            if (!isValidGuess) return rejected('Invalid guess');
+            if (isFullRanking && wager) return rejected('Wagers are off when guessing the whole ranking');
+            // Stakes come out of points already earned, up to the host's limit
+            const maxWager = Math.min(game.settings.maxWager, game.points[player] || 0);
+            if (!Number.isInteger(wager) || wager < 0 || wager > maxWager) {
+                return rejected(`You can wager between 0 and ${maxWager} points`);
+            }
+            game.currentGuesses[player] = guess;
+            game.currentWagers = game.currentWagers || {};
+            game.currentWagers[player] = wager;
+            let guessText = `position ${guess}`;
+            if (isFullRanking) guessText = 'a full ranking';
+            if (isAnonymous) guessText = `it was ${guess}'s ranking`;
+            events.push({ type: 'log', message: `${player} guessed ${guessText}${wager ? ` wagering ${wager}` : ''}` });
+            if (allGuessesIn(game)) revealGuesses(game, events);
+        },
+
+        nextReveal(game, { player }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can advance');
+            if (game.state !== 'reveal' || game.awaitingQuestions) return ignored();
+            advanceReveal(game, events);
+        },
+
+        // The countdown for `phase` ran out: missing rankings are filled in randomly,
+        // missing guesses count as no guess, and a reveal moves on by itself
+        phaseTimeout(game, { phase }, events) {
+            if (game.state !== phase || game.awaitingQuestions) return ignored();
+            events.push({ type: 'log', message: `${phase} timer expired` });
+            game.phaseDeadline = null;
+            game.phaseDuration = null;
+            if (phase === 'ranking') {
+                game.players.forEach(player => {
+                    if (!game.rankings[player]) {
+                        game.rankings[player] = shuffle(game.players);
+                        events.push({ type: 'log', message: `Auto-submitted a random ranking for ${player}` });
+                    }
+                });
+                setNextReveal(game, events);
+            } else if (phase === 'guessing') {
+                game.players.forEach(player => {
+                    if (player !== game.currentRanker && game.currentGuesses[player] === undefined) {
+                        game.currentGuesses[player] = null;
+                    }
+                });
+                revealGuesses(game, events);
+            } else if (phase === 'reveal') {
+                advanceReveal(game, events);
+            }
+        },
+
+        endGame(game, { player }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can end the game');
+            if (!['ranking', 'guessing', 'reveal'].includes(game.state)) return ignored();
+            endGame(game, events, 'host');
+        },
+
+        // Start a fresh game with the same group: same owner, players and settings, zeroed
+        // points, and the old game's usedQuestions so nobody gets a question they've already
+        // played. The old game points to the new one, which comes back in rematchCreated.
+        rematch(game, { player, rematchGameId }, events) {
+            if (game.owner !== player) return rejected('Only the game owner can start a rematch');
+            if (game.state !== 'gameOver' || game.rematchGameId) return ignored();
+            const rematch = createGame(game.owner);
+            rematch.players = [...game.players, ...(game.spectators || []).filter(name => !game.players.includes(name))];
+            rematch.points = Object.fromEntries(rematch.players.map(name => [name, 0]));
+            rematch.settings = { ...game.settings, questionPacks: [...game.settings.questionPacks] };
+            rematch.customQuestions = [...(game.customQuestions || [])];
+            rematch.usedQuestions = new Set(game.usedQuestions || []);
+            // The old Game ID now leads here, so bans and the lobby lock come along
+            rematch.locked = !!game.locked;
+            rematch.bannedNames = [...(game.bannedNames || [])];
+            rematch.bannedTokens = [...(game.bannedTokens || [])];
+            rematch.bots = (game.bots || []).filter(name => rematch.players.includes(name));
+            const oldTokens = game.sessionTokens || {};
+            rematch.sessionTokens = Object.fromEntries(
+                rematch.players.filter(name => oldTokens[name]).map(name => [name, oldTokens[name]])
+            );
+            game.rematchGameId = rematchGameId;
+            events.push({ type: 'log', message: `Rematch started as ${rematchGameId}` });
+            events.push({ type: 'rematchCreated', gameId: rematchGameId, game: rematch });
+        }
+    };
+
+    function dispatch(state, action) {
+        const handler = ACTIONS[action.type];
+        if (!handler) return { game: state, events: [], error: `Unknown action: ${action.type}`, accepted: false, onlyFor: null };
+        const game = structuredClone(state);
+        const events = [];
+        const outcome = handler(game, action, events) || {};
+        if (outcome.error || outcome.ignored) {
+            return { game: state, events: [], error: outcome.error || null, accepted: false, onlyFor: null };
+        }
+        game.lastActivity = now();
+        // A move that finished the phase changes everybody's view
+        const phaseMoved = game.state !== state.state || game.round !== state.round;
+        return { game, events, error: null, accepted: true, onlyFor: phaseMoved ? null : outcome.onlyFor || null };
+    }
+
+    return { createGame, dispatch };
+}
+
+module.exports = {
+    createGameEngine,
+    isBot,
+    isBanned,
+    pendingMove,
+    guessKind,
+    roundQuestionCount
+};
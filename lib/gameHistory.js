@@ -0,0 +1,77 @@
+// Per-round record of a game, kept on game.history because rankings, guesses and
+// question assignments are overwritten every round:
+// [{ round, rankers: [{ ranker, question, ranking, reveals: [{ target, actualPosition, guesses, wagers, points }] }] }]
+// Only revealed information goes in, so the export never gives anything away early.
+// In a consensus round the ranker is null and the ranking is the group's combined one.
+// In an anonymous round the guesses are player names and there are no targets.
+
+// Record the reveal that was just scored. `points` is what each player earned from it.
+function recordReveal(game, points) {
+    game.history = game.history || [];
+    let round = game.history[game.history.length - 1];
+    if (!round || round.round !== game.round) {
+        round = { round: game.round, rankers: [] };
+        game.history.push(round);
+    }
+    let entry = round.rankers.find(r => r.ranker === game.currentRanker);
+    if (!entry) {
+        entry = { ranker: game.currentRanker, question: game.currentQuestion, ranking: null, reveals: [] };
+        round.rankers.push(entry);
+    }
+    entry.reveals.push({
+        target: game.currentTarget,
+        actualPosition: game.actualPosition,
+        guesses: { ...game.currentGuesses },
+        wagers: { ...(game.currentWagers || {}) },
+        points
+    });
+    // The full ranking is public once it's been shown, i.e. after the ranker's last target
+    if (game.currentFullRanking) entry.ranking = [...game.currentFullRanking];
+}
+
+function buildHistory(game, gameId) {
+    return {
+        gameId,
+        owner: game.owner,
+        state: game.state,
+        players: game.players,
+        points: game.points,
+        rounds: game.history || []
+    };
+}
+
+// Quote a CSV field, and defuse text a spreadsheet would run as a formula. Numbers are
+// left alone, so negative points (a lost wager) stay numbers
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per player per reveal: the ranker's row has no guess and carries their points
+function historyToCsv(game) {
+    const rows = [['round', 'ranker', 'question', 'full_ranking', 'target', 'actual_position', 'player', 'role', 'guess', 'wager', 'correct', 'points']];
+    for (const round of game.history || []) {
+        for (const entry of round.rankers) {
+            const ranking = entry.ranking ? entry.ranking.join(' > ') : '';
+            for (const reveal of entry.reveals) {
+                const base = [round.round, entry.ranker, entry.question, ranking, reveal.target, reveal.actualPosition];
+                if (entry.ranker) rows.push([...base, entry.ranker, 'ranker', '', '', '', reveal.points[entry.ranker] || 0]);
+                for (const [player, guess] of Object.entries(reveal.guesses)) {
+                    const wager = (reveal.wagers || {})[player] || 0;
+                    if (Array.isArray(guess)) {
+                        // Whole-ranking guess: correct is the number of slots that match
+                        const matches = guess.filter((p, i) => entry.ranking && p === entry.ranking[i]).length;
+                        rows.push([...base, player, 'guesser', guess.join(' > '), wager, `${matches}/${guess.length}`, reveal.points[player] || 0]);
+                        continue;
+                    }
+                    const correct = typeof guess === 'string' ? guess === entry.ranker : guess === reveal.actualPosition;
+                    rows.push([...base, player, 'guesser', guess, wager, guess === null ? '' : correct, reveal.points[player] || 0]);
+                }
+            }
+        }
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { recordReveal, buildHistory, historyToCsv };
@@ -0,0 +1,93 @@
+const { SCORING_STRATEGIES } = require('./scoring');
+
+// Host-configurable game settings. The schema is the single source of truth for
+// defaults and server-side validation; the client only offers values inside these ranges.
+const SETTINGS_SCHEMA = {
+    // 0 = keep playing until the questions run out
+    rounds: { type: 'integer', min: 0, max: 50, default: 0 },
+    // Max points the ranker can earn per reveal
+    pointsCap: { type: 'integer', min: 1, max: 20, default: 3 },
+    // How guesses are scored: classic (exact only), partial (by distance) or closest
+    scoring: { type: 'choice', options: Object.keys(SCORING_STRATEGIES), default: 'classic' },
+    // Most chips a guesser can stake on a guess (never more than their points), 0 = no wagers.
+    // Whole-ranking reveals don't take wagers
+    maxWager: { type: 'integer', min: 0, max: 5, default: 3 },
+    // Seconds a disconnected player has to rejoin before being removed
+    gracePeriodSeconds: { type: 'integer', min: 5, max: 300, default: 15 },
+    // classic: everyone ranks their own question and each ranking is revealed in turn.
+    // consensus: everyone ranks one shared question and guesses are on the group's combined ranking.
+    // anonymous: each ranking is shown without its ranker's name and guessers say whose it is
+    gameMode: { type: 'choice', options: ['classic', 'consensus', 'anonymous'], default: 'classic' },
+    // What guessers guess each reveal: one target's position, or the ranker's whole order.
+    // Not used in anonymous rounds, where the guess is always the ranker
+    revealMode: { type: 'choice', options: ['target', 'fullRanking'], default: 'target' },
+    // Targets guessed on per ranker (capped at the number of players); unused for whole rankings
+    targetsPerReveal: { type: 'integer', min: 1, max: 5, default: 1 },
+    // Whether a ranker can be asked where they placed themselves
+    rankerCanBeTarget: { type: 'boolean', default: true },
+    // Question rerolls each player gets per round, 0 = off. Ignored in consensus rounds,
+    // where one player can't swap everyone's question
+    rerollsPerRound: { type: 'integer', min: 0, max: 5, default: 2 },
+    // Questions offered per reroll: 1 swaps blindly, 2-3 let the player pick one (or keep theirs)
+    questionChoices: { type: 'integer', min: 1, max: 3, default: 1 },
+    // Phase countdowns in seconds, 0 = no timer. When the ranking/guessing timer runs out,
+    // missing rankings are randomized and missing guesses count as no guess; a reveal
+    // timer auto-advances instead of waiting for the host
+    rankingSeconds: { type: 'integer', min: 0, max: 600, default: 0 },
+    guessingSeconds: { type: 'integer', min: 0, max: 300, default: 0 },
+    revealSeconds: { type: 'integer', min: 0, max: 120, default: 0 },
+    // Question packs to draw from; valid ids come from the packs loaded at boot
+    questionPacks: { type: 'idList', choices: 'packIds', default: ['classic', 'wholesome'] },
+    // Percentage of each round's questions taken from the host's custom list (100 = custom only)
+    customQuestionMix: { type: 'integer', min: 0, max: 100, default: 50 }
+};
+
+function defaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [
+        key,
+        Array.isArray(rule.default) ? [...rule.default] : rule.default
+    ]));
+}
+
+function validateSetting(key, value, context) {
+    // Own keys only, so names like 'constructor' or 'toString' aren't mistaken for settings
+    if (!Object.hasOwn(SETTINGS_SCHEMA, key)) return `Unknown setting: ${key}`;
+    const rule = SETTINGS_SCHEMA[key];
+    if (rule.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    }
+    if (rule.type === 'integer') {
+        if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+            return `${key} must be a whole number between ${rule.min} and ${rule.max}`;
+        }
+        return null;
+    }
+    if (rule.type === 'choice') {
+        return rule.options.includes(value) ? null : `${key} must be one of: ${rule.options.join(', ')}`;
+    }
+    if (rule.type === 'idList') {
+        const choices = context[rule.choices] || [];
+        if (!Array.isArray(value) || value.length === 0) return `Pick at least one option for ${key}`;
+        if (new Set(value).size !== value.length || !value.every(v => choices.includes(v))) {
+            return `${key} contains an unknown or repeated option`;
+        }
+        return null;
+    }
+    return null;
+}
+
+// Merge a partial update into the current settings. `context` holds the runtime
+// choices for list settings (e.g. { packIds }).
+// Returns { settings } on success or { error } describing the first invalid field.
+function applySettings(current, changes, context = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'Invalid settings' };
+    }
+    for (const [key, value] of Object.entries(changes)) {
+        const error = validateSetting(key, value, context);
+        if (error) return { error };
+    }
+    return { settings: { ...defaultSettings(), ...current, ...changes } };
+}
+
+module.exports = { SETTINGS_SCHEMA, defaultSettings, applySettings };
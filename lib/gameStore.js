@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+// Games are kept live in memory by server.js; a store only receives snapshots
+// after each transition and hands them back on boot. Every store exposes the
+// same three methods: loadAll(), save(gameId, game) and remove(gameId). loadAll()
+// returns an object without a prototype, so a Game ID like "constructor" finds nothing.
+
+// Sets don't survive JSON, so snapshots turn them into arrays
+function serializeGame(game) {
+    return {
+        ...game,
+        usedQuestions: [...(game.usedQuestions || [])]
+    };
+}
+
+function deserializeGame(data) {
+    return {
+        ...data,
+        usedQuestions: new Set(data.usedQuestions || [])
+    };
+}
+
+// Default: nothing is persisted, a restart starts from a clean slate
+function createMemoryStore() {
+    return {
+        name: 'memory',
+        loadAll: () => Object.create(null),
+        save: () => {},
+        remove: () => {}
+    };
+}
+
+// One JSON file per game in `dir`
+function createFileStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileFor = (gameId) => path.join(dir, `${gameId}.json`);
+
+    return {
+        name: 'file',
+        loadAll() {
+            const games = Object.create(null);
+            for (const file of fs.readdirSync(dir)) {
+                if (!file.endsWith('.json')) continue;
+                const gameId = path.basename(file, '.json');
+                try {
+                    games[gameId] = deserializeGame(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+                } catch (err) {
+                    console.error(`Game store: skipping unreadable snapshot ${file}: ${err.message}`);
+                }
+            }
+            return games;
+        },
+        save(gameId, game) {
+            // Write to a temp file and rename so a crash mid-write never leaves a truncated snapshot
+            const tmpFile = `${fileFor(gameId)}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(serializeGame(game)));
+            fs.renameSync(tmpFile, fileFor(gameId));
+        },
+        remove(gameId) {
+            fs.rmSync(fileFor(gameId), { force: true });
+        }
+    };
+}
+
+// GAME_STORE=file enables the file store (GAME_STORE_DIR, default ./data/games)
+function createGameStore(env = process.env) {
+    if (env.GAME_STORE === 'file') {
+        return createFileStore(env.GAME_STORE_DIR || path.join('data', 'games'));
+    }
+    return createMemoryStore();
+}
+
+module.exports = { createGameStore, createMemoryStore, createFileStore, serializeGame, deserializeGame };
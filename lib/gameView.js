@@ -0,0 +1,91 @@
+// Per-viewer projection of a game. Every gameState payload sent to a client
+// goes through buildGameView so nobody can read other players' questions,
+// rankings or guesses before the reveal.
+
+// player: in the game but no reveal running (waiting / ranking)
+// ranker: the player whose ranking is currently being guessed
+// guesser: any other player during guessing / reveal (everyone, when guessing the group consensus)
+// spectator: everyone else in the room
+function getViewerRole(game, viewer) {
+    if (!game.players.includes(viewer)) return 'spectator';
+    if (game.state === 'guessing' || game.state === 'reveal') {
+        return viewer === game.currentRanker ? 'ranker' : 'guesser';
+    }
+    return 'player';
+}
+
+function buildGameView(game, gameId, viewer) {
+    const role = getViewerRole(game, viewer);
+    const isReveal = game.state === 'reveal';
+    const currentGuesses = game.currentGuesses || {};
+    const currentWagers = game.currentWagers || {};
+    const rankings = game.rankings || {};
+
+    // Guesses and wagers stay private until the reveal; a guesser only sees their own
+    let visibleGuesses = {};
+    let visibleWagers = {};
+    if (isReveal) {
+        visibleGuesses = currentGuesses;
+        visibleWagers = currentWagers;
+    } else if (role === 'guesser' && currentGuesses[viewer] !== undefined) {
+        visibleGuesses = { [viewer]: currentGuesses[viewer] };
+        visibleWagers = { [viewer]: currentWagers[viewer] || 0 };
+    }
+
+    // The ranker already knows their own answer; everyone else waits for the reveal
+    const canSeeAnswer = isReveal || role === 'ranker';
+    // "Whose ranking is this?" shows everyone the ranking while it's being guessed, but
+    // not who made it. Who has guessed would give the ranker away too, so only the count goes out
+    const isAnonymousGuessing = game.settings.gameMode === 'anonymous' && game.state === 'guessing';
+    const hideRanker = isAnonymousGuessing && role !== 'ranker';
+
+    return {
+        gameId,
+        role,
+        state: game.state,
+        players: game.players,
+        spectators: game.spectators || [],
+        points: game.points,
+        owner: game.owner,
+        locked: !!game.locked,
+        bots: game.bots || [],
+        noMoreQuestions: game.noMoreQuestions,
+        settings: game.settings,
+        customQuestionCount: (game.customQuestions || []).length,
+        // Custom questions are the round's prompts, so only the host who wrote them sees the list
+        customQuestions: viewer === game.owner ? game.customQuestions || [] : [],
+        round: game.round,
+        stats: game.stats || {},
+        endReason: game.endReason || null,
+        phaseDeadline: game.phaseDeadline || null,
+        phaseDuration: game.phaseDuration || null,
+        serverNow: Date.now(),
+        isSpectator: role === 'spectator',
+        myQuestion: role === 'spectator' ? '' : (game.questionAssignments[viewer] || ''),
+        rerollsLeft: Math.max(0, (game.settings.rerollsPerRound || 0) - ((game.rerollsUsed || {})[viewer] || 0)),
+        questionOffers: role === 'spectator' ? [] : ((game.questionOffers || {})[viewer] || []),
+        submittedRankers: Object.keys(rankings),
+        hasSubmittedRanking: !!rankings[viewer],
+        currentRanker: hideRanker ? null : game.currentRanker,
+        currentTarget: game.currentTarget,
+        currentQuestion: game.currentQuestion,
+        targetNumber: (game.currentTargetIndex || 0) + 1,
+        targetCount: (game.revealTargets || []).length,
+        guessedPlayers: hideRanker ? [] : Object.keys(currentGuesses),
+        guessCount: Object.keys(currentGuesses).length,
+        hasSubmittedGuess: currentGuesses[viewer] !== undefined,
+        currentGuesses: visibleGuesses,
+        // Points each guesser (and the ranker) earned from the target being revealed
+        revealPoints: isReveal ? game.revealPoints || {} : {},
+        currentWagers: visibleWagers,
+        wagerResults: isReveal ? game.wagerResults || {} : {},
+        actualPosition: canSeeAnswer ? game.actualPosition : null,
+        currentFullRanking: isReveal
+            ? game.currentFullRanking
+            : role === 'ranker' || isAnonymousGuessing ? rankings[game.currentRanker] || null : null,
+        // The group's combined ranking in a consensus round, shown along with the full ranking
+        consensus: isReveal && game.currentFullRanking ? game.consensus || null : null
+    };
+}
+
+module.exports = { buildGameView, getViewerRole };
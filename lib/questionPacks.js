@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// A question pack is a JSON file in packs/:
+// { "id", "name", "description", "contentRating", "questions": ["Who is the most likely to..."] }
+// Ratings go from mildest to edgiest; a game is as edgy as the edgiest pack it uses.
+const CONTENT_RATINGS = ['family', 'work-safe', 'spicy'];
+
+// Tone guidance for the AI prompt, per content rating
+const RATING_GUIDANCE = {
+    'family': 'Keep every question family-friendly: no alcohol, drugs, dating, sex or crude humour.',
+    'work-safe': 'Keep every question safe for work: light teasing is fine, but nothing sexual, drug-related or offensive.',
+    'spicy': 'Edgy adult humour is allowed (nights out, dating, embarrassing habits), but nothing hateful or cruel.'
+};
+
+function validatePack(pack, file) {
+    if (!pack || typeof pack !== 'object') throw new Error('not a JSON object');
+    for (const field of ['id', 'name', 'description']) {
+        if (typeof pack[field] !== 'string' || !pack[field].trim()) throw new Error(`missing "${field}"`);
+    }
+    if (!CONTENT_RATINGS.includes(pack.contentRating)) {
+        throw new Error(`contentRating must be one of: ${CONTENT_RATINGS.join(', ')}`);
+    }
+    if (!Array.isArray(pack.questions) || pack.questions.length === 0) throw new Error('no questions');
+    const invalid = pack.questions.find(q => typeof q !== 'string' || !q.startsWith('Who is the most likely to'));
+    if (invalid !== undefined) throw new Error(`invalid question: ${JSON.stringify(invalid)}`);
+    if (path.basename(file, '.json') !== pack.id) throw new Error(`id "${pack.id}" does not match the file name`);
+}
+
+// Load every valid pack in `dir`, keyed by id. Invalid files are logged and skipped.
+function loadQuestionPacks(dir) {
+    const packs = {};
+    let files = [];
+    try {
+        files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    } catch (err) {
+        console.error(`Error reading question packs from ${dir}:`, err.message);
+        return packs;
+    }
+    for (const file of files) {
+        try {
+            const pack = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            validatePack(pack, file);
+            packs[pack.id] = { ...pack, questions: [...new Set(pack.questions)] };
+        } catch (err) {
+            console.error(`Skipping question pack ${file}: ${err.message}`);
+        }
+    }
+    return packs;
+}
+
+// Unique questions across the chosen packs
+function getPackQuestions(packs, packIds) {
+    return [...new Set(packIds.flatMap(id => (packs[id] ? packs[id].questions : [])))];
+}
+
+// The edgiest rating among the chosen packs
+function getContentRating(packs, packIds) {
+    const ratings = packIds.filter(id => packs[id]).map(id => CONTENT_RATINGS.indexOf(packs[id].contentRating));
+    return CONTENT_RATINGS[Math.max(0, ...ratings)];
+}
+
+// Prompt lines describing the theme of the chosen packs
+function describeTheme(packs, packIds) {
+    const chosen = packIds.filter(id => packs[id]).map(id => packs[id]);
+    const themes = chosen.map(p => `${p.name} (${p.description})`).join('; ');
+    return [
+        themes ? `Theme: ${themes}.` : '',
+        RATING_GUIDANCE[getContentRating(packs, packIds)]
+    ].filter(Boolean).join('\n');
+}
+
+// Pack metadata for the lobby picker (without the questions themselves)
+function listPacks(packs) {
+    return Object.values(packs).map(({ id, name, description, contentRating, questions }) => ({
+        id, name, description, contentRating, questionCount: questions.length
+    }));
+}
+
+module.exports = {
+    CONTENT_RATINGS,
+    loadQuestionPacks,
+    getPackQuestions,
+    getContentRating,
+    describeTheme,
+    listPacks
+};
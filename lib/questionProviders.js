@@ -0,0 +1,162 @@
+const axios = require('axios');
+
+// A question provider turns a request into raw candidate questions:
+//   { name, generate({ count, theme, examples, timeoutMs }) => Promise<string[]> }
+// Retries, format checks, similarity filtering and the fallback to the question
+// packs are shared and live in server.js. The "pool" provider has no generate()
+// and sends every request straight to the packs.
+
+function buildQuestionPrompt({ count, theme, examples }) {
+    const randomSeed = `${Date.now()}-${Math.random().toString(36).substring(2)}`;
+    const exampleLines = examples
+        .map((ex, i) => `Example ${i + 1}: {"question": "${ex}"}`)
+        .join('\n');
+    return `
+        You are a game question generator. Return ONLY a valid JSON object with one field: "questions", containing an array of ${count} unique questions. Each question must be phrased as "Who is the most likely to..." and can be either positive/aspirational or humorous/quirky. Ensure all questions are highly unique, varied, and avoid repetition or similarity to previous outputs, examples, or common themes. Do NOT include any text, markdown, backticks, code blocks, comments, explanations, or conversational responses. If you cannot generate the requested output, return an empty JSON object {}.
+        ${theme}
+        Examples:
+        ${exampleLines}
+        Random seed for uniqueness: ${randomSeed}
+        Output: {"questions": ["<question1>", "<question2>", ...]}
+      `;
+}
+
+// Pull the questions array out of an LLM reply, tolerating markdown code fences
+function parseQuestionResponse(responseText) {
+    const cleaned = (responseText || '').replace(/```json\n|```\n|```/g, '').trim();
+    if (!cleaned || cleaned === '{}') throw new Error('Empty or invalid response');
+    const questionData = JSON.parse(cleaned);
+    if (!questionData.questions || !Array.isArray(questionData.questions)) {
+        throw new Error('Missing questions in JSON');
+    }
+    return questionData.questions;
+}
+
+// Requests without a timeoutMs still give up after this long
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Any OpenAI-compatible /chat/completions endpoint (Groq, OpenAI, a self-hosted server...)
+function createChatCompletionProvider({ name, baseUrl, apiKey, model }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        name,
+        async generate({ count, theme, examples, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            const response = await axios.post(
+                url,
+                {
+                    model,
+                    messages: [{ role: 'user', content: buildQuestionPrompt({ count, theme, examples }) }],
+                    max_tokens: 500,
+                    temperature: 1.2,
+                    top_p: 1.0,
+                    frequency_penalty: 0.5,
+                    presence_penalty: 0.5
+                },
+                { headers, timeout: timeoutMs }
+            );
+            const responseText = response.data.choices[0]?.message?.content || '{}';
+            console.log(`${name}: Raw response: ${responseText}`);
+            return parseQuestionResponse(responseText);
+        }
+    };
+}
+
+// Offline/test provider: hands out the same questions in the same order every run
+const MOCK_QUESTION_ENDINGS = [
+    'adopt three cats in one weekend',
+    'sleep through a fire alarm',
+    'win a pie-eating contest',
+    'learn to juggle chainsaws',
+    'name their car',
+    'start a book club and never read the book',
+    'cry at a commercial',
+    'become a beekeeper',
+    'get lost in an IKEA',
+    'own a pet snake',
+    'speedrun a video game',
+    'memorize pi to a hundred digits',
+    'build a treehouse as an adult',
+    'collect vintage postcards',
+    'volunteer to sing the anthem',
+    'bake bread every Sunday',
+    'forget to charge their phone',
+    'knit a sweater for their dog',
+    'move to Antarctica',
+    'argue with a parrot',
+    'invent a board game over lunch',
+    'restore an old motorcycle',
+    'fall asleep at a concert',
+    'grow a giant pumpkin',
+    'recite movie quotes on cue',
+    'host a murder mystery dinner',
+    'ride a unicycle to work',
+    'write fan fiction',
+    'photograph every sunset',
+    'plan a surprise party a year ahead'
+];
+
+function createMockProvider() {
+    let next = 0;
+    return {
+        name: 'mock',
+        async generate({ count }) {
+            const questions = [];
+            for (let i = 0; i < count; i++) {
+                const ending = MOCK_QUESTION_ENDINGS[next % MOCK_QUESTION_ENDINGS.length];
+                questions.push(`Who is the most likely to ${ending}?`);
+                next++;
+            }
+            return questions;
+        }
+    };
+}
+
+function createPoolProvider() {
+    return { name: 'pool' };
+}
+
+// QUESTION_PROVIDER picks the source: groq, openai (any OpenAI-compatible endpoint),
+// pool or mock. Without it, Groq is used when GROQ_API_KEY is set, else the packs.
+function createQuestionProvider(env = process.env) {
+    const choice = env.QUESTION_PROVIDER || (env.GROQ_API_KEY ? 'groq' : 'pool');
+
+    if (choice === 'groq') {
+        if (!env.GROQ_API_KEY) {
+            console.error('QUESTION_PROVIDER=groq but GROQ_API_KEY is not set, falling back to question pool');
+            return createPoolProvider();
+        }
+        return createChatCompletionProvider({
+            name: 'groq',
+            baseUrl: 'https://api.groq.com/openai/v1',
+            apiKey: env.GROQ_API_KEY,
+            model: env.GROQ_MODEL || 'llama-3.3-70b-versatile'
+        });
+    }
+    if (choice === 'openai') {
+        if (!env.OPENAI_BASE_URL || !env.OPENAI_MODEL) {
+            console.error('QUESTION_PROVIDER=openai needs OPENAI_BASE_URL and OPENAI_MODEL, falling back to question pool');
+            return createPoolProvider();
+        }
+        return createChatCompletionProvider({
+            name: 'openai',
+            baseUrl: env.OPENAI_BASE_URL,
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL
+        });
+    }
+    if (choice === 'mock') return createMockProvider();
+    if (choice !== 'pool') {
+        console.error(`Unknown QUESTION_PROVIDER "${choice}", falling back to question pool`);
+    }
+    return createPoolProvider();
+}
+
+module.exports = {
+    createQuestionProvider,
+    createChatCompletionProvider,
+    createMockProvider,
+    createPoolProvider,
+    parseQuestionResponse
+};
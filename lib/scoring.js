@@ -0,0 +1,97 @@
+// Scoring strategies for a reveal. Each turns the guesses on the current target into
+// points per guesser:
+//   (guesses, actualPosition) => { [guesser]: points }
+// A null guess means the guessing timer ran out, and never scores. Whatever the
+// strategy, the ranker earns 1 point per guesser who scored, capped by pointsCap.
+// Wagers are settled on top: an exact guess wins WAGER_PAYOUT times the stake, any
+// other guess loses it.
+const WAGER_PAYOUT = 2;
+
+// 1 point for the exact position
+function exactMatch(guesses, actualPosition) {
+    return Object.fromEntries(Object.entries(guesses).map(([guesser, guess]) => [
+        guesser,
+        guess === actualPosition ? 1 : 0
+    ]));
+}
+
+// Points by distance from the actual position: exact, one off, two off
+const PARTIAL_CREDIT = [3, 2, 1];
+
+function partialCredit(guesses, actualPosition) {
+    return Object.fromEntries(Object.entries(guesses).map(([guesser, guess]) => [
+        guesser,
+        guess === null ? 0 : PARTIAL_CREDIT[Math.abs(guess - actualPosition)] || 0
+    ]));
+}
+
+// 1 point for the nearest guess even if nobody was exact; tied guessers all score
+function closestGuess(guesses, actualPosition) {
+    const best = Math.min(...Object.values(guesses)
+        .filter(guess => guess !== null)
+        .map(guess => Math.abs(guess - actualPosition)));
+    return Object.fromEntries(Object.entries(guesses).map(([guesser, guess]) => [
+        guesser,
+        guess !== null && Math.abs(guess - actualPosition) === best ? 1 : 0
+    ]));
+}
+
+const SCORING_STRATEGIES = {
+    classic: exactMatch,
+    partial: partialCredit,
+    closest: closestGuess
+};
+
+function settleWager(wager, guess, answer) {
+    if (!wager) return 0;
+    return guess === answer ? wager * WAGER_PAYOUT : -wager;
+}
+
+// Score one reveal: { guesserPoints, rankerPoints, wagerResults }. guesserPoints
+// includes each guesser's wager result; wagerResults holds it on its own.
+function scoreReveal(strategy, { guesses, actualPosition, pointsCap, wagers = {} }) {
+    const score = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.classic;
+    const basePoints = score(guesses, actualPosition);
+    const scoringGuessers = Object.values(basePoints).filter(points => points > 0).length;
+    const wagerResults = {};
+    const guesserPoints = {};
+    for (const [guesser, points] of Object.entries(basePoints)) {
+        wagerResults[guesser] = settleWager(wagers[guesser], guesses[guesser], actualPosition);
+        guesserPoints[guesser] = points + wagerResults[guesser];
+    }
+    return { guesserPoints, rankerPoints: Math.min(scoringGuessers, pointsCap), wagerResults };
+}
+
+// Whole-ranking reveals are scored slot by slot: each player in the ranker's order is
+// treated as a target, the strategy scores everyone's guessed position for them, and
+// the points are added up. Guesses are full rankings (arrays of names) or null.
+function scoreFullRanking(strategy, { guesses, actualRanking, pointsCap }) {
+    const score = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.classic;
+    const guesserPoints = Object.fromEntries(Object.keys(guesses).map(guesser => [guesser, 0]));
+    actualRanking.forEach((player, index) => {
+        const slotGuesses = Object.fromEntries(Object.entries(guesses).map(([guesser, ranking]) => [
+            guesser,
+            ranking ? ranking.indexOf(player) + 1 : null
+        ]));
+        for (const [guesser, points] of Object.entries(score(slotGuesses, index + 1))) {
+            guesserPoints[guesser] += points;
+        }
+    });
+    const scoringGuessers = Object.values(guesserPoints).filter(points => points > 0).length;
+    return { guesserPoints, rankerPoints: Math.min(scoringGuessers, pointsCap), wagerResults: {} };
+}
+
+// "Whose ranking is this?": guesses are player names. Naming the ranker earns 1 point,
+// and the ranker earns 1 point per guesser who named someone else, capped by pointsCap.
+function scoreWhoseRanking({ guesses, ranker, pointsCap, wagers = {} }) {
+    const wagerResults = {};
+    const guesserPoints = {};
+    for (const [guesser, guess] of Object.entries(guesses)) {
+        wagerResults[guesser] = settleWager(wagers[guesser], guess, ranker);
+        guesserPoints[guesser] = (guess === ranker ? 1 : 0) + wagerResults[guesser];
+    }
+    const stumped = Object.values(guesses).filter(guess => guess !== null && guess !== ranker).length;
+    return { guesserPoints, rankerPoints: Math.min(stumped, pointsCap), wagerResults };
+}
+
+module.exports = { SCORING_STRATEGIES, scoreReveal, scoreFullRanking, scoreWhoseRanking };
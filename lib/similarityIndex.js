@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const stringSimilarity = require('string-similarity');
+
+// Bounded record of every question handed out, used to reject repeats and near
+// repeats. Similarity is string-similarity's score (Dice coefficient over character
+// bigrams, whitespace removed). Rather than scoring a new question against every
+// entry, an inverted index finds the entries sharing its bigrams, and only those
+// whose shared count could beat the threshold get the full comparison.
+//
+// Nearly every question starts with "Who is the most likely to". Those bigrams would
+// put every entry in every lookup, so they stay out of the index: two questions with
+// the prefix always share exactly these, and they are added to the count as a constant.
+const PREFIX_KEY = 'Whoisthemostlikelyto';
+const PREFIX_BIGRAMS = PREFIX_KEY.length - 1;
+const SAVE_DELAY_MS = 2000;
+
+// Bigram counts of a question, leaving out the ones inside the common prefix
+function describe(question) {
+    const key = question.replace(/\s+/g, '');
+    const hasPrefix = key.startsWith(PREFIX_KEY);
+    // Keep the prefix's last letter so the bigram joining it to the rest still counts
+    const rest = hasPrefix ? key.slice(PREFIX_BIGRAMS) : key;
+    const bigrams = new Map();
+    for (let i = 0; i < rest.length - 1; i++) {
+        const bigram = rest.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return { length: key.length, hasPrefix, bigrams };
+}
+
+// Keeps at most `maxSize` questions; the least recently added are forgotten first.
+// With a `file`, the questions are loaded from it and written back shortly after changes.
+function createSimilarityIndex({ threshold, maxSize, file = null }) {
+    const entries = new Map();  // question -> description, oldest first
+    const postings = new Map(); // bigram -> Map(question -> count)
+    const byLength = new Map(); // length without whitespace -> Set of questions
+    let saveTimer = null;
+
+    function insert(question) {
+        if (entries.has(question)) {
+            // Re-adding refreshes its place in the eviction order
+            const entry = entries.get(question);
+            entries.delete(question);
+            entries.set(question, entry);
+            return;
+        }
+        const entry = describe(question);
+        if (entry.length < 2) return;
+        entries.set(question, entry);
+        for (const [bigram, count] of entry.bigrams) {
+            if (!postings.has(bigram)) postings.set(bigram, new Map());
+            postings.get(bigram).set(question, count);
+        }
+        if (!byLength.has(entry.length)) byLength.set(entry.length, new Set());
+        byLength.get(entry.length).add(question);
+
+        while (entries.size > maxSize) evict(entries.keys().next().value);
+    }
+
+    function evict(question) {
+        const entry = entries.get(question);
+        entries.delete(question);
+        for (const bigram of entry.bigrams.keys()) {
+            const posting = postings.get(bigram);
+            posting.delete(question);
+            if (posting.size === 0) postings.delete(bigram);
+        }
+        const sameLength = byLength.get(entry.length);
+        sameLength.delete(question);
+        if (sameLength.size === 0) byLength.delete(entry.length);
+    }
+
+    function scheduleSave() {
+        if (!file || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                // Same temp-file-and-rename as the game store, so a crash never truncates it
+                const tmpFile = `${file}.tmp`;
+                fs.writeFileSync(tmpFile, JSON.stringify([...entries.keys()]));
+                fs.renameSync(tmpFile, file);
+            } catch (err) {
+                console.error(`Similarity index: failed to save ${file}: ${err.message}`);
+            }
+        }, SAVE_DELAY_MS);
+        saveTimer.unref();
+    }
+
+    // The first indexed question scoring above the threshold, as { question, similarity }, or null
+    function findSimilar(question) {
+        const probe = describe(question);
+        if (probe.length < 2) return null;
+
+        const shared = new Map();
+        for (const [bigram, count] of probe.bigrams) {
+            const posting = postings.get(bigram);
+            if (!posting) continue;
+            for (const [other, otherCount] of posting) {
+                shared.set(other, (shared.get(other) || 0) + Math.min(count, otherCount));
+            }
+        }
+        // Short questions can score high on the prefix alone, without any other bigram in common
+        const maxLength = (2 * PREFIX_BIGRAMS) / threshold - probe.length + 2;
+        for (const [length, questions] of byLength) {
+            if (length >= maxLength) continue;
+            for (const other of questions) {
+                if (!shared.has(other)) shared.set(other, 0);
+            }
+        }
+
+        for (const [other, sharedCount] of shared) {
+            const entry = entries.get(other);
+            const prefixShared = probe.hasPrefix || entry.hasPrefix ? PREFIX_BIGRAMS : 0;
+            const bestCase = (2 * (sharedCount + prefixShared)) / (probe.length + entry.length - 2);
+            if (bestCase <= threshold) continue;
+            const similarity = stringSimilarity.compareTwoStrings(question, other);
+            if (similarity > threshold) return { question: other, similarity };
+        }
+        return null;
+    }
+
+    if (file) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(saved)) throw new Error('not a JSON array');
+            saved.filter(q => typeof q === 'string').forEach(insert);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`Similarity index: ignoring unreadable ${file}: ${err.message}`);
+        }
+    }
+
+    return {
+        threshold,
+        get size() {
+            return entries.size;
+        },
+        has: (question) => entries.has(question),
+        add(question) {
+            insert(question);
+            scheduleSave();
+        },
+        findSimilar
+    };
+}
+
+// SIMILARITY_THRESHOLD (default 0.65), SIMILARITY_INDEX_SIZE (default 5000 questions)
+// and SIMILARITY_INDEX_FILE (optional, e.g. data/used-questions.json)
+function createUsedQuestionIndex(env = process.env) {
+    let threshold = 0.65;
+    if (env.SIMILARITY_THRESHOLD !== undefined) {
+        const value = parseFloat(env.SIMILARITY_THRESHOLD);
+        if (value > 0 && value <= 1) {
+            threshold = value;
+        } else {
+            console.error(`SIMILARITY_THRESHOLD must be above 0 and at most 1, using ${threshold}`);
+        }
+    }
+    const maxSize = parseInt(env.SIMILARITY_INDEX_SIZE, 10) > 0 ? parseInt(env.SIMILARITY_INDEX_SIZE, 10) : 5000;
+    return createSimilarityIndex({ threshold, maxSize, file: env.SIMILARITY_INDEX_FILE || null });
+}
+
+module.exports = { createSimilarityIndex, createUsedQuestionIndex };
@@ -0,0 +1,190 @@
+// Checks every incoming Socket.io event before its handler runs: the payload must
+// match the event's schema, and the sender must be within their rate budget. Budgets
+// are token buckets kept per socket and per IP address; each event costs some tokens
+// and the buckets refill steadily. Rejected events never reach their handler and the
+// client gets a 'requestRejected' event: { event, message }.
+
+const MAX_NAME_LENGTH = 24;
+const MAX_GAME_ID_LENGTH = 32;
+const MAX_TOKEN_LENGTH = 64;
+const MAX_PLAYERS = 100;
+const MAX_CUSTOM_QUESTIONS_TEXT = 20000;
+
+// Game IDs come from generateGameId: lowercase letters and digits only
+const GAME_ID = { type: 'string', minLength: 1, maxLength: MAX_GAME_ID_LENGTH, pattern: /^[a-z0-9]+$/, label: 'Game ID' };
+// Names key the game's per-player maps, so they can't be one of Object.prototype's members
+const PLAYER_NAME = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, trimmed: true, notReserved: true, label: 'Name' };
+const SESSION_TOKEN = { type: 'string', maxLength: MAX_TOKEN_LENGTH, optional: true };
+const PLAYER_LIST = { type: 'array', maxItems: MAX_PLAYERS, items: PLAYER_NAME };
+const TARGET_PLAYER = { type: 'object', fields: { gameId: GAME_ID, playerName: PLAYER_NAME } };
+
+// Payload schema and cost of every event a client may send. Anything that can reach
+// the question provider costs more, so it can't be used to burn through the API quota.
+const EVENT_RULES = {
+    createGame: { schema: PLAYER_NAME, cost: 5 },
+    joinGame: { schema: { type: 'object', fields: { gameId: GAME_ID, playerName: PLAYER_NAME, token: SESSION_TOKEN } }, cost: 2 },
+    rejoinGame: { schema: { type: 'object', fields: { gameId: GAME_ID, playerName: PLAYER_NAME, token: SESSION_TOKEN } }, cost: 2 },
+    leaveGame: { schema: { type: 'object', fields: { gameId: GAME_ID } } },
+    kickPlayer: { schema: TARGET_PLAYER },
+    banPlayer: { schema: TARGET_PLAYER },
+    transferHost: { schema: TARGET_PLAYER },
+    addBot: { schema: GAME_ID },
+    setLobbyLocked: { schema: { type: 'object', fields: { gameId: GAME_ID, locked: { type: 'boolean' } } } },
+    // The settings themselves are checked against the settings schema by the handler
+    updateSettings: { schema: { type: 'object', fields: { gameId: GAME_ID, settings: { type: 'object' } } } },
+    setCustomQuestions: {
+        schema: { type: 'object', fields: { gameId: GAME_ID, text: { type: 'string', maxLength: MAX_CUSTOM_QUESTIONS_TEXT } } },
+        cost: 5
+    },
+    startGame: { schema: GAME_ID, cost: 10 },
+    // Rerolls are also capped per round by the host's reroll budget
+    rerollQuestion: { schema: GAME_ID, cost: 3 },
+    pickQuestion: { schema: { type: 'object', fields: { gameId: GAME_ID, choice: { type: 'integer', min: 0, max: 2, optional: true } } } },
+    submitRanking: { schema: { type: 'object', fields: { gameId: GAME_ID, ranking: PLAYER_LIST } } },
+    submitGuess: {
+        schema: {
+            type: 'object',
+            fields: {
+                gameId: GAME_ID,
+                // A position, a player's name ("Whose ranking is this?") or a whole ranking
+                guess: { label: 'Guess', anyOf: [{ type: 'integer', min: 1, max: MAX_PLAYERS }, PLAYER_NAME, PLAYER_LIST] },
+                wager: { type: 'integer', min: 0, max: 100, optional: true }
+            }
+        }
+    },
+    nextReveal: { schema: GAME_ID },
+    endGame: { schema: GAME_ID },
+    rematch: { schema: GAME_ID, cost: 5 }
+};
+
+// null if `value` matches `schema`, otherwise what's wrong with it. Messages name the
+// schema's label if it has one, else the field
+function validate(schema, value, field) {
+    const label = schema.label || field;
+    if (value === undefined || value === null) {
+        return schema.optional ? null : `${label} is missing`;
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.some(option => validate(option, value, label) === null) ? null : `${label} is not valid`;
+    }
+    if (schema.type === 'string') {
+        if (typeof value !== 'string') return `${label} must be text`;
+        if (value.length < (schema.minLength || 0)) return `${label} can't be empty`;
+        if (value.length > schema.maxLength) return `${label} is too long (max ${schema.maxLength} characters)`;
+        if (schema.trimmed && (value.trim() !== value || !value.trim())) return `${label} can't start or end with spaces`;
+        if (schema.pattern && !schema.pattern.test(value)) return `${label} is not valid`;
+        if (schema.notReserved && Object.hasOwn(Object.prototype, value)) return `${label} is reserved, pick another`;
+        return null;
+    }
+    if (schema.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    }
+    if (schema.type === 'integer') {
+        if (!Number.isInteger(value) || value < schema.min || value > schema.max) {
+            return `${label} must be a whole number between ${schema.min} and ${schema.max}`;
+        }
+        return null;
+    }
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return `${label} must be a list`;
+        if (value.length > schema.maxItems) return `${label} has too many entries`;
+        for (const item of value) {
+            const error = validate(schema.items, item, `${field} entry`);
+            if (error) return error;
+        }
+        return null;
+    }
+    if (schema.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) return `${label} must be an object`;
+        for (const [key, fieldSchema] of Object.entries(schema.fields || {})) {
+            const error = validate(fieldSchema, value[key], key);
+            if (error) return error;
+        }
+        return null;
+    }
+    return `${label} has an unknown schema`;
+}
+
+// Token buckets by key. Full buckets are the same as no bucket, so they're swept away.
+function createRateLimiter({ capacity, refillPerSecond }) {
+    const buckets = new Map();
+
+    function take(key, cost) {
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        if (bucket.tokens < cost) return false;
+        bucket.tokens -= cost;
+        return true;
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) buckets.delete(key);
+        }
+    }
+
+    return { take, sweep, forget: (key) => buckets.delete(key) };
+}
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// SOCKET_RATE_LIMIT (tokens per socket, default 30) refills over 10 seconds; each IP
+// gets SOCKET_IP_RATE_LIMIT (default 120) so a few players on one network fit. Set
+// TRUST_PROXY behind a reverse proxy (e.g. Render) so the IP comes from X-Forwarded-For;
+// its value is the number of proxies in front of the app (any other value means 1).
+function createSocketGuard(env = process.env) {
+    const socketCapacity = parseInt(env.SOCKET_RATE_LIMIT, 10) > 0 ? parseInt(env.SOCKET_RATE_LIMIT, 10) : 30;
+    const ipCapacity = parseInt(env.SOCKET_IP_RATE_LIMIT, 10) > 0 ? parseInt(env.SOCKET_IP_RATE_LIMIT, 10) : 120;
+    let proxyHops = 0;
+    if (env.TRUST_PROXY) proxyHops = parseInt(env.TRUST_PROXY, 10) > 0 ? parseInt(env.TRUST_PROXY, 10) : 1;
+    const socketLimiter = createRateLimiter({ capacity: socketCapacity, refillPerSecond: socketCapacity / 10 });
+    const ipLimiter = createRateLimiter({ capacity: ipCapacity, refillPerSecond: ipCapacity / 10 });
+    setInterval(() => {
+        socketLimiter.sweep();
+        ipLimiter.sweep();
+    }, SWEEP_INTERVAL_MS).unref();
+
+    // Each proxy appends the address it got the request from, so only the last
+    // `proxyHops` entries can be trusted; anything left of them is up to the client
+    function getClientIp(socket) {
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        if (!proxyHops || !forwarded) return socket.handshake.address;
+        const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+        return hops[hops.length - proxyHops] || socket.handshake.address;
+    }
+
+    // Install the checks on a newly connected socket
+    return function guard(socket) {
+        const ip = getClientIp(socket);
+        const reject = (event, message) => {
+            console.log(`Rejected ${event} from ${socket.playerName || socket.id} (${ip}): ${message}`);
+            socket.emit('requestRejected', { event, message });
+        };
+
+        socket.use(([event, payload], next) => {
+            const rule = EVENT_RULES[event];
+            if (!rule) {
+                reject(event, 'Unknown request');
+                return;
+            }
+            const cost = rule.cost || 1;
+            if (!socketLimiter.take(socket.id, cost) || !ipLimiter.take(ip, cost)) {
+                reject(event, 'Too many requests, slow down a little');
+                return;
+            }
+            const error = validate(rule.schema, payload, 'Request');
+            if (error) {
+                reject(event, error);
+                return;
+            }
+            next();
+        });
+        socket.on('disconnect', () => socketLimiter.forget(socket.id));
+    };
+}
+
+module.exports = { createSocketGuard };
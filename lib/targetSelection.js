@@ -0,0 +1,20 @@
+// Picks the players guessed on in a reveal. Rather than drawing at random every time,
+// the players targeted least so far in the game go first (ties are broken randomly),
+// so everyone gets featured about equally often and nobody is the target twice in a
+// row while others wait. `targetCounts` ({ [player]: times targeted }) lives on the
+// game so the rotation survives reconnects and restarts; it is updated in place.
+// `random` breaks the ties, so a seeded one makes the picks repeatable.
+function pickTargets({ players, count, targetCounts, exclude = null, random = Math.random }) {
+    const candidates = players.filter(player => player !== exclude);
+    const picked = candidates
+        .map(player => ({ player, times: targetCounts[player] || 0, tiebreak: random() }))
+        .sort((a, b) => a.times - b.times || a.tiebreak - b.tiebreak)
+        .slice(0, count)
+        .map(({ player }) => player);
+    picked.forEach(player => {
+        targetCounts[player] = (targetCounts[player] || 0) + 1;
+    });
+    return picked;
+}
+
+module.exports = { pickTargets };
@@ -21,6 +21,16 @@ function setUrlGameId(gameId) {
     }
 }
 
+// Reconnect token the server issued for our seat in a game, saved next to gtr_playerName
+function getSavedSessionToken(gameId) {
+    try {
+        const saved = JSON.parse(localStorage.getItem('gtr_sessionToken') || 'null');
+        return saved && saved.gameId === gameId ? saved.token : null;
+    } catch {
+        return null;
+    }
+}
+
 const HomeButton = ({ onClick }) => (
     <button onClick={onClick} title="Go home" className="home-btn">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
@@ -31,31 +41,346 @@ const HomeButton = ({ onClick }) => (
     </button>
 );
 
+// Options the host can pick from; the server validates against the same ranges
+const SCORING_LABELS = {
+    classic: 'Exact match',
+    partial: 'Partial credit',
+    closest: 'Closest wins'
+};
+
+const GAME_MODE_LABELS = {
+    classic: 'Classic',
+    consensus: 'Group consensus',
+    anonymous: 'Whose ranking?'
+};
+
+const SETTING_FIELDS = [
+    { key: 'gameMode', label: 'Game mode', options: ['classic', 'consensus', 'anonymous'], format: v => GAME_MODE_LABELS[v] || v },
+    { key: 'rounds', label: 'Rounds', options: [0, 3, 5, 10, 20], format: v => (v === 0 ? 'Unlimited' : v) },
+    { key: 'pointsCap', label: 'Ranker points cap', options: [1, 2, 3, 5, 10], format: v => `${v} per reveal` },
+    { key: 'scoring', label: 'Scoring', options: ['classic', 'partial', 'closest'], format: v => SCORING_LABELS[v] || v },
+    { key: 'maxWager', label: 'Wagers', options: [0, 1, 2, 3, 5], format: v => (v === 0 ? 'Off' : `Up to ${v} chips`) },
+    { key: 'revealMode', label: 'Guess', options: ['target', 'fullRanking'], format: v => (v === 'fullRanking' ? 'Whole ranking' : 'One target at a time') },
+    { key: 'targetsPerReveal', label: 'Targets per ranking', options: [1, 2, 3], format: v => v },
+    { key: 'rankerCanBeTarget', label: 'Ranker as own target', options: [true, false], format: v => (v ? 'Allowed' : 'Never') },
+    { key: 'gracePeriodSeconds', label: 'Rejoin grace period', options: [10, 15, 30, 60, 120], format: v => `${v}s` },
+    { key: 'rerollsPerRound', label: 'Question rerolls', options: [0, 1, 2, 3, 5], format: v => (v === 0 ? 'Off' : `${v} per round`) },
+    { key: 'questionChoices', label: 'Reroll gives', options: [1, 2, 3], format: v => (v === 1 ? 'A new question' : `A pick of ${v}`) },
+    { key: 'rankingSeconds', label: 'Ranking timer', options: [0, 60, 90, 120, 180], format: v => (v === 0 ? 'Off' : `${v}s`) },
+    { key: 'guessingSeconds', label: 'Guessing timer', options: [0, 20, 30, 45, 60], format: v => (v === 0 ? 'Off' : `${v}s`) },
+    { key: 'revealSeconds', label: 'Auto-advance reveal', options: [0, 10, 15, 30], format: v => (v === 0 ? 'Off' : `${v}s`) }
+];
+
+// Only shown once the host has added custom questions
+const CUSTOM_QUESTION_FIELDS = [
+    { key: 'customQuestionMix', label: 'Question mix', options: [100, 75, 50, 25], format: v => (v === 100 ? 'Custom only' : `${v}% custom`) }
+];
+
+const SettingsPanel = ({ settings, editable, onChange, fields = SETTING_FIELDS }) => (
+    <div className="settings-list">
+        {fields.map(({ key, label, options, format }) => (
+            <div key={key} className="setting-row">
+                <span className="setting-label">{label}</span>
+                {editable ? (
+                    <select
+                        className="setting-select"
+                        value={String(settings[key])}
+                        onChange={(e) => onChange({ [key]: options.find(o => String(o) === e.target.value) })}
+                    >
+                        {options.map(o => (
+                            <option key={String(o)} value={String(o)}>{format(o)}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <span className="setting-value">{format(settings[key])}</span>
+                )}
+            </div>
+        ))}
+    </div>
+);
+
+// Question packs the host can choose from; other players only see the chosen ones
+const PackPicker = ({ packs, selected, editable, onChange }) => {
+    const togglePack = (packId) => {
+        const next = selected.includes(packId) ? selected.filter(id => id !== packId) : [...selected, packId];
+        if (next.length > 0) onChange({ questionPacks: next });
+    };
+    return (
+        <div className="player-list">
+            {packs.filter(pack => editable || selected.includes(pack.id)).map(pack => {
+                const isSelected = selected.includes(pack.id);
+                return (
+                    <div
+                        key={pack.id}
+                        className={`player-row ${isSelected && editable ? 'is-me' : ''}`}
+                        onClick={editable ? () => togglePack(pack.id) : undefined}
+                        style={editable ? { cursor: 'pointer' } : undefined}
+                    >
+                        <div className="pack-info">
+                            <span className="player-name">{pack.name}</span>
+                            <span className="pack-description">{pack.description} · {pack.questionCount} questions</span>
+                        </div>
+                        <span className={`pack-rating pack-rating--${pack.contentRating}`}>{pack.contentRating}</span>
+                        {editable && <span className="player-vote-val">{isSelected ? '✓' : ''}</span>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// Countdown for timed phases. The deadline is in server time; clockOffset corrects for skew
+const CountdownBar = ({ deadline, duration, clockOffset }) => {
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(interval);
+    }, []);
+    const remaining = Math.max(0, deadline - (now + clockOffset));
+    const percent = duration ? (remaining / duration) * 100 : 0;
+    return (
+        <div className="countdown">
+            <div className="countdown-track">
+                <div
+                    className={`countdown-fill ${remaining <= 5000 ? 'countdown-fill--low' : ''}`}
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+            <span className="countdown-label">{Math.ceil(remaining / 1000)}s</span>
+        </div>
+    );
+};
+
+// Tap players in order to build a ranking; tap a placed player to take them back out.
+// Used for the ranker's own ranking and for whole-ranking guesses.
+const RankingBuilder = ({ players, ranking, onChange, playerName, emptyLabel }) => {
+    const rankedSet = new Set(ranking);
+    const unrankedPlayers = players.filter(p => !rankedSet.has(p));
+
+    const tapToRank = (player) => onChange([...ranking, player]);
+    const removeFromRanking = (player) => onChange(ranking.filter(p => p !== player));
+
+    return (
+        <>
+            {ranking.length > 0 && (
+                <>
+                    <div className="section-label" style={{ marginTop: 16 }}>Your ranking — tap to remove</div>
+                    <div className="player-list" style={{ marginBottom: 12 }}>
+                        {ranking.map((player, index) => (
+                            <div
+                                key={player}
+                                className="player-row"
+                                onClick={() => removeFromRanking(player)}
+                                style={{ cursor: 'pointer' }}
+                            >
+                                <div className="player-score">{index + 1}</div>
+                                <span className="player-name">{player}{player === playerName ? ' (you)' : ''}</span>
+                                <span style={{ marginLeft: 'auto', color: '#e8523a', fontSize: '1rem', fontWeight: 600 }}>✕</span>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {unrankedPlayers.length > 0 && (
+                <>
+                    <div className="section-label" style={{ marginTop: ranking.length > 0 ? 8 : 16 }}>
+                        {ranking.length === 0 ? emptyLabel : 'Still to place'}
+                    </div>
+                    <div className="vote-grid" style={{ marginBottom: 12 }}>
+                        {unrankedPlayers.map(player => (
+                            <button
+                                key={player}
+                                onClick={() => tapToRank(player)}
+                                className="vote-btn"
+                            >
+                                {player}{player === playerName ? ' (you)' : ''}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </>
+    );
+};
+
+// Spearman's rank correlation between a guessed and the actual ranking: 1 is identical, -1 reversed
+function rankCorrelation(guess, actual) {
+    const n = actual.length;
+    if (n < 2) return 1;
+    const squaredDistance = actual.reduce((sum, player, i) => sum + (guess.indexOf(player) - i) ** 2, 0);
+    return 1 - (6 * squaredDistance) / (n * (n * n - 1));
+}
+
+// Whole-ranking reveal: the ranker's order next to every guess, matching slots highlighted
+const RankingComparison = ({ actual, ranker, guesses, guessers, revealPoints, playerName }) => (
+    <div className="ranking-compare-wrap">
+        <table className="ranking-compare">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>{ranker}</th>
+                    {guessers.map(guesser => (
+                        <th key={guesser} className={guesser === playerName ? 'me' : ''}>
+                            {guesser}{guesser === playerName ? ' (you)' : ''}
+                        </th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {actual.map((player, i) => (
+                    <tr key={player}>
+                        <td className="ranking-compare-slot">{i + 1}</td>
+                        <td className="ranking-compare-actual">{player}</td>
+                        {guessers.map(guesser => {
+                            const guess = guesses[guesser];
+                            const guessed = guess ? guess[i] : null;
+                            return (
+                                <td key={guesser} className={guessed === player ? 'ranking-compare-hit' : ''}>
+                                    {guessed || '—'}
+                                </td>
+                            );
+                        })}
+                    </tr>
+                ))}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td></td>
+                    <td>Match</td>
+                    {guessers.map(guesser => {
+                        const guess = guesses[guesser];
+                        const matches = guess ? guess.filter((p, i) => p === actual[i]).length : 0;
+                        return (
+                            <td key={guesser}>
+                                {guess ? `${matches}/${actual.length} · ρ ${rankCorrelation(guess, actual).toFixed(2)}` : '—'}
+                                <div className={`points-gained ${revealPoints[guesser] > 0 ? 'points-gained--scored' : ''}`}>
+                                    +{revealPoints[guesser] || 0}
+                                </div>
+                            </td>
+                        );
+                    })}
+                </tr>
+            </tfoot>
+        </table>
+    </div>
+);
+
+const PODIUM_MEDALS = ['🥇', '🥈', '🥉'];
+const END_REASONS = {
+    rounds: 'All rounds played',
+    questions: 'Out of questions',
+    host: 'Ended by the host',
+    players: 'Not enough players left'
+};
+
+// Final standings: a podium for the top three places, then everyone's stats.
+// Tied players share a place.
+const GameOverSummary = ({ players, points, stats, endReason, playerName }) => {
+    const standings = [...players]
+        .sort((a, b) => (points[b] || 0) - (points[a] || 0))
+        .map(name => ({
+            name,
+            points: points[name] || 0,
+            place: 1 + players.filter(p => (points[p] || 0) > (points[name] || 0)).length,
+            ...(stats[name] || { guesses: 0, correctGuesses: 0, rankerPoints: 0 })
+        }));
+    const winners = standings.filter(s => s.place === 1).map(s => s.name);
+    return (
+        <>
+            <div className="reveal-imposter">
+                <div className="reveal-imposter-label">
+                    🏁 Game Over{END_REASONS[endReason] ? ` — ${END_REASONS[endReason]}` : ''}
+                </div>
+                <div className="reveal-imposter-name">
+                    {winners.join(' & ')} win{winners.length === 1 ? 's' : ''}!
+                </div>
+            </div>
+
+            <div className="card">
+                <div className="podium">
+                    {standings.filter(s => s.place <= 3).map(s => (
+                        <div key={s.name} className={`podium-spot podium-spot--${s.place}`}>
+                            <div className="podium-medal">{PODIUM_MEDALS[s.place - 1]}</div>
+                            <div className="podium-name">{s.name}{s.name === playerName ? ' (you)' : ''}</div>
+                            <div className="podium-points">{s.points} pt{s.points !== 1 ? 's' : ''}</div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="section-label">Final Standings</div>
+                <div className="player-list" style={{ marginTop: 8 }}>
+                    {standings.map(s => (
+                        <div key={s.name} className={`player-row ${s.name === playerName ? 'is-me' : ''}`}>
+                            <div className="player-score">{s.points}</div>
+                            <span className={`player-name ${s.name === playerName ? 'me' : ''}`}>
+                                {s.name}{s.name === playerName ? ' (you)' : ''}
+                            </span>
+                            <span className="player-stats" title="Correct guesses · points earned as ranker">
+                                🎯 {s.correctGuesses}/{s.guesses} · 🏅 {s.rankerPoints}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+                <p className="waiting-tip" style={{ marginTop: 12 }}>
+                    🎯 correct guesses · 🏅 points earned as ranker
+                </p>
+            </div>
+        </>
+    );
+};
+
 const App = () => {
     const [socket, setSocket] = useState(null);
     const [gameId, setGameId] = useState(() => getGameIdFromUrl() || getJoinParamFromUrl());
     const [playerName, setPlayerName] = useState(() => localStorage.getItem('gtr_playerName') || '');
     const [isOwner, setIsOwner] = useState(false);
+    const [owner, setOwner] = useState(null);
+    const [locked, setLocked] = useState(false);
+    const [bots, setBots] = useState([]);
     const [players, setPlayers] = useState([]);
     const [gameState, setGameState] = useState('joining');
     const [myQuestion, setMyQuestion] = useState('');
+    const [rerollsLeft, setRerollsLeft] = useState(0);
+    const [questionOffers, setQuestionOffers] = useState([]);
     const [currentRanker, setCurrentRanker] = useState(null);
     const [currentTarget, setCurrentTarget] = useState(null);
     const [currentQuestion, setCurrentQuestion] = useState('');
     const [currentGuesses, setCurrentGuesses] = useState({});
+    const [revealPoints, setRevealPoints] = useState({});
+    const [currentWagers, setCurrentWagers] = useState({});
+    const [wagerResults, setWagerResults] = useState({});
+    const [guessCount, setGuessCount] = useState(0);
     const [actualPosition, setActualPosition] = useState(null);
     const [currentFullRanking, setCurrentFullRanking] = useState(null);
+    const [consensus, setConsensus] = useState(null);
     const [ranking, setRanking] = useState([]);
     const [hasSubmittedRanking, setHasSubmittedRanking] = useState(false);
     const [hasSubmittedGuess, setHasSubmittedGuess] = useState(false);
     const [guessAccepted, setGuessAccepted] = useState(false);
     const [selectedGuess, setSelectedGuess] = useState(null);
+    const [selectedWager, setSelectedWager] = useState(0);
+    const [guessRanking, setGuessRanking] = useState([]);
     const [points, setPoints] = useState({});
     const [noMoreQuestions, setNoMoreQuestions] = useState(false);
+    const [settings, setSettings] = useState(null);
+    const [round, setRound] = useState(0);
+    const [stats, setStats] = useState({});
+    const [endReason, setEndReason] = useState(null);
+    const [targetNumber, setTargetNumber] = useState(1);
+    const [targetCount, setTargetCount] = useState(1);
+    const [phaseDeadline, setPhaseDeadline] = useState(null);
+    const [phaseDuration, setPhaseDuration] = useState(null);
+    const [clockOffset, setClockOffset] = useState(0);
+    const [availablePacks, setAvailablePacks] = useState([]);
+    const [customQuestions, setCustomQuestions] = useState([]);
+    const [customQuestionCount, setCustomQuestionCount] = useState(0);
+    const [customDraft, setCustomDraft] = useState('');
+    const [customResult, setCustomResult] = useState(null);
+    const [isStarting, setIsStarting] = useState(false);
     const [error, setError] = useState('');
     const [copied, setCopied] = useState(false);
     const [showCopyMenu, setShowCopyMenu] = useState(false);
-    const [hasAttemptedRejoin, setHasAttemptedRejoin] = useState(false);
     const [isSpectator, setIsSpectator] = useState(false);
     const [spectatorCount, setSpectatorCount] = useState(0);
     const [inGame, setInGame] = useState(false);
@@ -88,7 +413,7 @@ const App = () => {
                 const savedName = localStorage.getItem('gtr_playerName');
                 if (savedName && socket) {
                     setInGame(true);
-                    socket.emit('rejoinGame', { gameId: urlGameId, playerName: savedName });
+                    socket.emit('rejoinGame', { gameId: urlGameId, playerName: savedName, token: getSavedSessionToken(urlGameId) });
                 }
             }
         };
@@ -96,51 +421,76 @@ const App = () => {
         return () => window.removeEventListener('popstate', handlePopState);
     }, [socket]);
 
+    useEffect(() => {
+        fetch('/api/packs')
+            .then(res => res.json())
+            .then(setAvailablePacks)
+            .catch(() => setAvailablePacks([]));
+    }, []);
+
     useEffect(() => {
         const newSocket = io();
         setSocket(newSocket);
 
-        // Auto-rejoin if we have a game ID in the URL and a saved name
-        const urlGameId = getGameIdFromUrl();
-        const savedName = localStorage.getItem('gtr_playerName');
-        if (urlGameId && savedName && !hasAttemptedRejoin) {
-            setHasAttemptedRejoin(true);
-            newSocket.once('connect', () => {
-                newSocket.emit('rejoinGame', { gameId: urlGameId, playerName: savedName });
-            });
-            if (newSocket.connected) {
-                newSocket.emit('rejoinGame', { gameId: urlGameId, playerName: savedName });
+        // Auto-rejoin if we have a game ID in the URL and a saved name. Runs on every
+        // connect, so the game also picks up again after the server restarts
+        newSocket.on('connect', () => {
+            const urlGameId = getGameIdFromUrl();
+            const savedName = localStorage.getItem('gtr_playerName');
+            if (urlGameId && savedName) {
+                newSocket.emit('rejoinGame', { gameId: urlGameId, playerName: savedName, token: getSavedSessionToken(urlGameId) });
             }
-        }
+        });
 
         newSocket.on('gameState', ({
             state, players, spectators, gameId: receivedGameId,
-            myQuestion, currentRanker, currentTarget, currentQuestion,
-            currentGuesses, actualPosition, currentFullRanking,
-            points, noMoreQuestions, owner,
+            myQuestion, rerollsLeft, questionOffers, currentRanker, currentTarget, currentQuestion,
+            currentGuesses, revealPoints, currentWagers, wagerResults, guessCount, actualPosition, currentFullRanking, consensus,
+            points, noMoreQuestions, owner, locked, bots, settings, round, stats, endReason, targetNumber, targetCount,
+            phaseDeadline, phaseDuration, serverNow, customQuestions, customQuestionCount,
             isSpectator: spectatorFlag,
             hasSubmittedRanking: submitted, hasSubmittedGuess: submittedGuess
         }) => {
             setGameState(state);
             setPlayers(players || []);
             setMyQuestion(myQuestion || '');
+            setRerollsLeft(rerollsLeft || 0);
+            setQuestionOffers(questionOffers || []);
             setCurrentRanker(currentRanker || null);
             setCurrentTarget(currentTarget || null);
             setCurrentQuestion(currentQuestion || '');
             setCurrentGuesses(currentGuesses || {});
+            setRevealPoints(revealPoints || {});
+            setCurrentWagers(currentWagers || {});
+            setWagerResults(wagerResults || {});
+            setGuessCount(guessCount || 0);
             setActualPosition(actualPosition || null);
             setCurrentFullRanking(currentFullRanking || null);
+            setConsensus(consensus || null);
             setPoints(points || {});
             setNoMoreQuestions(noMoreQuestions || false);
+            setSettings(settings || null);
+            setRound(round || 0);
+            setStats(stats || {});
+            setEndReason(endReason || null);
+            setTargetNumber(targetNumber || 1);
+            setTargetCount(targetCount || 1);
+            setPhaseDeadline(phaseDeadline || null);
+            setPhaseDuration(phaseDuration || null);
+            if (serverNow) setClockOffset(serverNow - Date.now());
+            setCustomQuestions(customQuestions || []);
+            setCustomQuestionCount(customQuestionCount || 0);
             setIsOwner(playerNameRef.current === owner);
+            setOwner(owner);
+            setLocked(!!locked);
+            setBots(bots || []);
             setSpectatorCount((spectators || []).length);
-            if (spectatorFlag) setIsSpectator(true);
+            setIsSpectator(spectatorFlag || false);
+            if (state !== 'waiting') setIsStarting(false);
             if (state === 'ranking') {
-                setIsSpectator(false);
                 setHasSubmittedRanking(submitted || false);
                 setHasSubmittedGuess(false);
                 setSelectedGuess(null);
-                setRanking([]);
             }
             if (state === 'guessing') {
                 setSelectedGuess(null);
@@ -154,6 +504,14 @@ const App = () => {
             }
         });
 
+        newSocket.on('sessionToken', ({ gameId, token }) => {
+            localStorage.setItem('gtr_sessionToken', JSON.stringify({ gameId, token }));
+        });
+
+        newSocket.on('customQuestionsResult', (result) => {
+            setCustomResult(result);
+        });
+
         newSocket.on('rankingSubmitted', () => {
             setHasSubmittedRanking(true);
         });
@@ -164,11 +522,22 @@ const App = () => {
 
         newSocket.on('ownerChanged', ({ newOwner }) => {
             setIsOwner(newOwner === playerNameRef.current);
+            setOwner(newOwner);
+        });
+
+        // The host kicked or banned us
+        newSocket.on('removedFromGame', ({ reason }) => {
+            if (goHomeRef.current) goHomeRef.current();
+            setError(reason === 'banned' ? 'The host banned you from this game' : 'The host removed you from the game');
+            setTimeout(() => setError(''), 5000);
         });
 
-        newSocket.on('error', (message) => {
+        // The server refused a request: a bad payload, too many requests or against the
+        // rules. Only a refused create/join leaves us outside a game
+        newSocket.on('requestRejected', ({ event, message }) => {
             setError(message);
-            setInGame(false);
+            setIsStarting(false);
+            if (['createGame', 'joinGame', 'rejoinGame'].includes(event)) setInGame(false);
             setTimeout(() => setError(''), 5000);
         });
 
@@ -192,17 +561,19 @@ const App = () => {
     }, []);
 
     const goHome = () => {
-        if (socket && gameId) socket.emit('leaveGame', { gameId, playerName });
+        if (socket && gameId) socket.emit('leaveGame', { gameId });
         setGameState('joining');
         setInGame(false);
         setGameId('');
         setPlayers([]);
         setPoints({});
         setMyQuestion('');
+        setQuestionOffers([]);
         setCurrentRanker(null);
         setCurrentTarget(null);
         setCurrentQuestion('');
         setCurrentGuesses({});
+        setGuessCount(0);
         setActualPosition(null);
         setCurrentFullRanking(null);
         setRanking([]);
@@ -212,6 +583,11 @@ const App = () => {
         setIsSpectator(false);
         setSpectatorCount(0);
         setNoMoreQuestions(false);
+        setSettings(null);
+        setRound(0);
+        setPhaseDeadline(null);
+        setCustomDraft('');
+        setCustomResult(null);
         setUrlGameId('');
     };
     goHomeRef.current = goHome;
@@ -228,11 +604,33 @@ const App = () => {
         if (playerName.trim() && gameId.trim()) {
             localStorage.setItem('gtr_playerName', playerName.trim());
             setInGame(true);
-            socket.emit('joinGame', { gameId: gameId.trim(), playerName: playerName.trim() });
+            socket.emit('joinGame', { gameId: gameId.trim(), playerName: playerName.trim(), token: getSavedSessionToken(gameId.trim()) });
         } else { setError('Please enter your name and game ID'); setTimeout(() => setError(''), 5000); }
     };
 
-    const startGame = () => socket.emit('startGame', gameId);
+    const startGame = () => {
+        setIsStarting(true);
+        socket.emit('startGame', gameId);
+    };
+
+    const updateSettings = (changes) => socket.emit('updateSettings', { gameId, settings: changes });
+
+    const saveCustomQuestions = () => socket.emit('setCustomQuestions', { gameId, text: customDraft });
+
+    // Append the lines of an uploaded text file to the draft
+    const uploadCustomQuestions = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => setCustomDraft(draft => [draft.trim(), String(reader.result).trim()].filter(Boolean).join('\n'));
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    // Show the saved (normalized) list in the editor whenever it changes on the server
+    useEffect(() => {
+        setCustomDraft(customQuestions.join('\n'));
+    }, [customQuestions.join('\n')]);
 
     const submitRanking = () => {
         if (ranking.length === players.length) {
@@ -241,31 +639,52 @@ const App = () => {
     };
 
     const submitGuess = () => {
-        if (selectedGuess !== null) {
-            socket.emit('submitGuess', { gameId, guess: selectedGuess });
+        if (isFullRankingReveal) {
+            if (guessRanking.length === players.length) {
+                socket.emit('submitGuess', { gameId, guess: guessRanking });
+                setGuessAccepted(true);
+            }
+        } else if (selectedGuess !== null) {
+            socket.emit('submitGuess', { gameId, guess: selectedGuess, wager: Math.min(selectedWager, maxWager) });
             setGuessAccepted(true);
         }
     };
 
     const nextReveal = () => socket.emit('nextReveal', gameId);
 
-    // Tap-to-build ranking helpers
-    const rankedSet = new Set(ranking);
-    const unrankedPlayers = players.filter(p => !rankedSet.has(p));
+    const endGame = () => {
+        if (window.confirm('End the game now and show the final scores?')) socket.emit('endGame', gameId);
+    };
+
+    const rematch = () => socket.emit('rematch', gameId);
+
+    // Host moderation (kickPlayer, banPlayer, transferHost), each confirmed first
+    const moderate = (event, player, question) => {
+        if (window.confirm(question)) socket.emit(event, { gameId, playerName: player });
+    };
+
+    const toggleLock = () => socket.emit('setLobbyLocked', { gameId, locked: !locked });
+    const addBot = () => socket.emit('addBot', gameId);
 
-    const tapToRank = (player) => setRanking(prev => [...prev, player]);
-    const removeFromRanking = (player) => setRanking(prev => prev.filter(p => p !== player));
+    // Drop anyone who has left from a ranking still being built
+    useEffect(() => {
+        setRanking(prev => prev.filter(p => players.includes(p)));
+        setGuessRanking(prev => prev.filter(p => players.includes(p)));
+    }, [players.join('\n')]);
 
     // Reset ranking when entering ranking state
     useEffect(() => {
         if (gameState === 'ranking') setRanking([]);
     }, [gameState]);
 
-    // Reset guess state when a new guessing turn starts (target changes)
+    // Reset guess state when a new guessing turn starts (ranker or target changes; in
+    // anonymous rounds the ranker is hidden, so the question tells turns apart)
     useEffect(() => {
         setSelectedGuess(null);
+        setSelectedWager(0);
+        setGuessRanking([]);
         setGuessAccepted(false);
-    }, [currentTarget]);
+    }, [currentRanker, currentTarget, targetNumber, currentQuestion]);
 
     const PlayerList = ({ showPoints = true }) => (
         <div className="player-list">
@@ -275,14 +694,46 @@ const App = () => {
                     <span className={`player-name ${player === playerName ? 'me' : ''}`}>
                         {player}{player === playerName ? ' (you)' : ''}
                     </span>
+                    {player === owner && <span className="host-badge" title="Host">👑</span>}
+                    {bots.includes(player) && <span className="bot-badge" title="Bot">🤖 bot</span>}
+                    {isOwner && player !== playerName && (bots.includes(player) ? (
+                        <span className="player-actions">
+                            <button onClick={() => moderate('kickPlayer', player, `Remove the bot ${player}?`)} title="Remove bot">✕</button>
+                        </span>
+                    ) : (
+                        <span className="player-actions">
+                            <button onClick={() => moderate('transferHost', player, `Make ${player} the host?`)} title="Make host">👑</button>
+                            <button onClick={() => moderate('kickPlayer', player, `Remove ${player} from the game?`)} title="Kick">✕</button>
+                            <button onClick={() => moderate('banPlayer', player, `Ban ${player}? They won't be able to rejoin this game.`)} title="Ban">⛔</button>
+                        </span>
+                    ))}
                 </div>
             ))}
+            {isOwner && gameState === 'waiting' && (
+                <button onClick={addBot} className="btn btn-secondary btn-full lock-btn">
+                    🤖 Add a bot player
+                </button>
+            )}
+            {isOwner ? (
+                <button onClick={toggleLock} className="btn btn-secondary btn-full lock-btn">
+                    {locked ? '🔒 Locked to newcomers — tap to unlock' : '🔓 Lock the game to newcomers'}
+                </button>
+            ) : locked && (
+                <p className="waiting-tip">🔒 The host has locked this game to newcomers</p>
+            )}
         </div>
     );
 
-    const guessedPositions = Object.values(currentGuesses);
-    const numGuessers = players.filter(p => p !== currentRanker).length;
-    const waitingForGuesses = guessedPositions.length < numGuessers;
+    // In a consensus round everyone ranks one question and the group's ranking is guessed.
+    // In an anonymous round guessers see a ranking without its name and say whose it is
+    const isConsensus = !!settings && settings.gameMode === 'consensus';
+    const isAnonymous = !!settings && settings.gameMode === 'anonymous';
+    const isFullRankingReveal = !!settings && settings.revealMode === 'fullRanking' && !isAnonymous;
+    const numGuessers = isConsensus ? players.length : players.length - 1;
+    let questionTag = currentRanker ? `${currentRanker}'s Question` : "Someone's Question";
+    if (isConsensus) questionTag = "Everyone's Question";
+    // Chips can only be staked out of points already earned
+    const maxWager = Math.min(settings ? settings.maxWager : 0, points[playerName] || 0);
 
     return (
         <div className="app-wrap">
@@ -349,6 +800,14 @@ const App = () => {
                     👀 You joined mid-round — you're spectating. You'll be added as a player at the start of the next round.
                 </div>
             )}
+            {inGame && round > 0 && ['ranking', 'guessing', 'reveal'].includes(gameState) && (
+                <div className="spectator-bar">
+                    Round {round}{settings && settings.rounds > 0 ? ` of ${settings.rounds}` : ''}
+                </div>
+            )}
+            {inGame && phaseDeadline && ['ranking', 'guessing', 'reveal'].includes(gameState) && !noMoreQuestions && (
+                <CountdownBar deadline={phaseDeadline} duration={phaseDuration} clockOffset={clockOffset} />
+            )}
             {!isSpectator && spectatorCount > 0 && inGame && gameState !== 'waiting' && (
                 <div className="spectator-bar">
                     👀 {spectatorCount} spectator{spectatorCount !== 1 ? 's' : ''} watching
@@ -364,6 +823,7 @@ const App = () => {
                             className="input-field"
                             type="text"
                             placeholder="Your name"
+                            maxLength={24}
                             value={playerName}
                             onChange={(e) => setPlayerName(e.target.value)}
                         />
@@ -394,10 +854,80 @@ const App = () => {
                             <span className="count-badge">{players.length}</span>
                         </div>
                         <PlayerList />
+                        {settings && (
+                            <>
+                                <hr className="divider" />
+                                <div className="section-label">{isOwner ? 'Game Settings' : 'Game Settings (set by host)'}</div>
+                                <SettingsPanel settings={settings} editable={isOwner} onChange={updateSettings} />
+                                {availablePacks.length > 0 && (
+                                    <>
+                                        <div className="section-label" style={{ marginTop: 16 }}>
+                                            {isOwner ? 'Question Packs — tap to toggle' : 'Question Packs'}
+                                        </div>
+                                        <PackPicker
+                                            packs={availablePacks}
+                                            selected={settings.questionPacks || []}
+                                            editable={isOwner}
+                                            onChange={updateSettings}
+                                        />
+                                    </>
+                                )}
+                                {isOwner ? (
+                                    <>
+                                        <div className="section-label" style={{ marginTop: 16 }}>
+                                            Custom Questions{customQuestionCount > 0 ? ` (${customQuestionCount})` : ''}
+                                        </div>
+                                        <textarea
+                                            className="input-field custom-questions-input"
+                                            rows={5}
+                                            placeholder={'One per line — the full question or just the ending:\nWho is the most likely to quote The Office at work?\nforget the group chat exists?'}
+                                            value={customDraft}
+                                            onChange={(e) => setCustomDraft(e.target.value)}
+                                        />
+                                        <div className="btn-row" style={{ marginBottom: 12 }}>
+                                            <label className="btn btn-secondary">
+                                                📄 Upload .txt
+                                                <input type="file" accept=".txt,text/plain" onChange={uploadCustomQuestions} hidden />
+                                            </label>
+                                            <button onClick={saveCustomQuestions} className="btn btn-primary">💾 Save Questions</button>
+                                        </div>
+                                        {customResult && (
+                                            <p className="waiting-tip">
+                                                ✅ {customResult.accepted} saved
+                                                {customResult.rejected.length > 0 && ` · ${customResult.rejected.length} skipped`}
+                                            </p>
+                                        )}
+                                        {customResult && customResult.rejected.length > 0 && (
+                                            <ul className="custom-rejected">
+                                                {customResult.rejected.map(({ text, reason }, i) => (
+                                                    <li key={i}>{text} — {reason}</li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                        {customQuestionCount > 0 && (
+                                            <SettingsPanel
+                                                settings={settings}
+                                                editable
+                                                onChange={updateSettings}
+                                                fields={CUSTOM_QUESTION_FIELDS}
+                                            />
+                                        )}
+                                    </>
+                                ) : customQuestionCount > 0 && (
+                                    <>
+                                        <div className="section-label" style={{ marginTop: 16 }}>Custom Questions</div>
+                                        <p className="waiting-tip">
+                                            🖊️ The host wrote {customQuestionCount} question{customQuestionCount !== 1 ? 's' : ''} for this game
+                                            ({CUSTOM_QUESTION_FIELDS[0].format(settings.customQuestionMix)})
+                                        </p>
+                                    </>
+                                )}
+                            </>
+                        )}
                         <hr className="divider" />
                         {isOwner ? (
-                            <button onClick={startGame} className="btn btn-primary btn-full">
-                                🚀 Start Game
+                            <button onClick={startGame} className="btn btn-primary btn-full" disabled={isStarting}>
+                                {isStarting ? '⏳ Picking questions…' : '🚀 Start Game'}
                             </button>
                         ) : (
                             <p className="waiting-hint">⏳ Waiting for the host to start…</p>
@@ -406,7 +936,7 @@ const App = () => {
                 </div>
             )}
             {(gameState === 'waiting' || !inGame) && (
-                <p className="player-count-tip">🎯 Best played with 3 or more players</p>
+                <p className="player-count-tip">🎯 Best played with 3 or more players — the host can add bots to make up the numbers</p>
             )}
 
             {/* Ranking phase */}
@@ -429,47 +959,19 @@ const App = () => {
                     ) : (
                         <div className="card">
                             <div className="question-card">
-                                <div className="question-tag">❓ Your Question</div>
+                                <div className="question-tag">❓ {isConsensus ? "Everyone's Question" : 'Your Question'}</div>
                                 <div className="question-text">{myQuestion}</div>
                             </div>
-                            {ranking.length > 0 && (
-                                <>
-                                    <div className="section-label" style={{ marginTop: 16 }}>Your ranking — tap to remove</div>
-                                    <div className="player-list" style={{ marginBottom: 12 }}>
-                                        {ranking.map((player, index) => (
-                                            <div
-                                                key={player}
-                                                className="player-row"
-                                                onClick={() => removeFromRanking(player)}
-                                                style={{ cursor: 'pointer' }}
-                                            >
-                                                <div className="player-score">{index + 1}</div>
-                                                <span className="player-name">{player}{player === playerName ? ' (you)' : ''}</span>
-                                                <span style={{ marginLeft: 'auto', color: '#e8523a', fontSize: '1rem', fontWeight: 600 }}>✕</span>
-                                            </div>
-                                        ))}
-                                    </div>
-                                </>
-                            )}
-
-                            {unrankedPlayers.length > 0 && (
-                                <>
-                                    <div className="section-label" style={{ marginTop: ranking.length > 0 ? 8 : 16 }}>
-                                        {ranking.length === 0 ? 'Tap to rank — most likely first' : 'Still to place'}
-                                    </div>
-                                    <div className="vote-grid" style={{ marginBottom: 12 }}>
-                                        {unrankedPlayers.map(player => (
-                                            <button
-                                                key={player}
-                                                onClick={() => tapToRank(player)}
-                                                className="vote-btn"
-                                            >
-                                                {player}{player === playerName ? ' (you)' : ''}
-                                            </button>
-                                        ))}
-                                    </div>
-                                </>
+                            {isAnonymous && (
+                                <p className="waiting-tip" style={{ marginTop: 12 }}>🕵️ Rankings are shown without names — the others will try to work out which one is yours.</p>
                             )}
+                            <RankingBuilder
+                                players={players}
+                                ranking={ranking}
+                                onChange={setRanking}
+                                playerName={playerName}
+                                emptyLabel="Tap to rank — most likely first"
+                            />
 
                             <button
                                 onClick={submitRanking}
@@ -480,13 +982,37 @@ const App = () => {
                                 {ranking.length === players.length ? 'Submit Ranking' : `Rank all players (${ranking.length}/${players.length})`}
                             </button>
 
-                            <button
-                                onClick={() => socket.emit('rerollQuestion', gameId)}
-                                className="btn btn-full"
-                                style={{ marginBottom: 8, background: '#fef3c7', border: '1px solid #fcd34d', color: '#92400e' }}
-                            >
-                                🔄 Already seen this question? Get a new one
-                            </button>
+                            {questionOffers.length > 0 ? (
+                                <div className="question-offers">
+                                    <div className="section-label">Pick a new question</div>
+                                    {questionOffers.map((question, i) => (
+                                        <button
+                                            key={question}
+                                            onClick={() => socket.emit('pickQuestion', { gameId, choice: i })}
+                                            className="btn btn-full btn-secondary question-offer"
+                                        >
+                                            {question}
+                                        </button>
+                                    ))}
+                                    <button
+                                        onClick={() => socket.emit('pickQuestion', { gameId })}
+                                        className="btn btn-full question-offer-keep"
+                                    >
+                                        Keep my question
+                                    </button>
+                                </div>
+                            ) : settings && settings.rerollsPerRound > 0 && !isConsensus && (
+                                <button
+                                    onClick={() => socket.emit('rerollQuestion', gameId)}
+                                    className="btn btn-full"
+                                    style={{ marginBottom: 8, background: '#fef3c7', border: '1px solid #fcd34d', color: '#92400e', opacity: rerollsLeft === 0 ? 0.6 : 1 }}
+                                    disabled={rerollsLeft === 0}
+                                >
+                                    {rerollsLeft === 0
+                                        ? 'No rerolls left this round'
+                                        : `🔄 Already seen this question? Get a new one (${rerollsLeft} left)`}
+                                </button>
+                            )}
                         </div>
                     )}
                 </div>
@@ -504,24 +1030,79 @@ const App = () => {
                     </div>
 
                     <div className="question-card">
-                        <div className="question-tag">❓ {currentRanker}'s Question</div>
+                        <div className="question-tag">❓ {questionTag}</div>
                         <div className="question-text">{currentQuestion}</div>
                     </div>
 
                     <div className="card">
                         <div className="section-label" style={{ marginBottom: 4 }}>
-                            Where did <strong>{currentRanker}</strong> rank <strong>{currentTarget}</strong>?
+                            {isAnonymous ? (
+                                <>Whose ranking is this?</>
+                            ) : isFullRankingReveal ? (
+                                <>How did <strong>{currentRanker || 'the group'}</strong> rank everyone?</>
+                            ) : currentRanker ? (
+                                <>Where did <strong>{currentRanker}</strong> rank <strong>{currentTarget}</strong>?</>
+                            ) : (
+                                <>Where did <strong>{currentTarget}</strong> land in the group's combined ranking?</>
+                            )}
                         </div>
-                        <p className="waiting-tip">{guessedPositions.length} / {numGuessers} guesses in</p>
+                        {targetCount > 1 && (
+                            <p className="waiting-tip">Target {targetNumber} of {targetCount} for this ranking</p>
+                        )}
+                        <p className="waiting-tip">{guessCount} / {numGuessers} guesses in</p>
+                        {isAnonymous && currentFullRanking && (
+                            <div className="player-list" style={{ margin: '12px 0' }}>
+                                {currentFullRanking.map((player, i) => (
+                                    <div key={player} className="player-row">
+                                        <div className="player-score">{i + 1}</div>
+                                        <span className="player-name">{player}{player === playerName ? ' (you)' : ''}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
 
                         {isSpectator ? (
                             <p className="waiting-hint">👀 Watching this round — you'll play next round.</p>
                         ) : playerName === currentRanker ? (
-                            <p className="waiting-hint">You're the ranker this round — wait for others to guess!</p>
+                            <p className="waiting-hint">
+                                {isAnonymous
+                                    ? "🤫 This one's yours — keep a straight face while the others guess!"
+                                    : "You're the ranker this round — wait for others to guess!"}
+                            </p>
+                        ) : isFullRankingReveal ? (
+                            <>
+                                <RankingBuilder
+                                    players={players}
+                                    ranking={guessRanking}
+                                    onChange={setGuessRanking}
+                                    playerName={playerName}
+                                    emptyLabel={`Tap in ${currentRanker ? `${currentRanker}'s` : "the group's"} order — most likely first`}
+                                />
+                                {guessAccepted && (
+                                    <p style={{ fontSize: '0.85rem', color: '#be123c', fontWeight: 600, marginBottom: 10 }}>
+                                        ✅ Guess submitted! Reorder and submit again to change it.
+                                    </p>
+                                )}
+                                <button
+                                    onClick={submitGuess}
+                                    className={`btn btn-full ${guessRanking.length === players.length ? 'btn-primary' : 'btn-secondary'}`}
+                                    disabled={guessRanking.length !== players.length}
+                                >
+                                    {guessRanking.length === players.length ? 'Submit Guess' : `Rank all players (${guessRanking.length}/${players.length})`}
+                                </button>
+                            </>
                         ) : (
                             <>
                                 <div className="vote-grid" style={{ marginBottom: 12 }}>
-                                    {players.map((_, i) => (
+                                    {isAnonymous ? players.filter(p => p !== playerName).map(player => (
+                                        <button
+                                            key={player}
+                                            onClick={() => setSelectedGuess(player)}
+                                            className={`vote-btn ${selectedGuess === player ? 'selected' : ''}`}
+                                        >
+                                            {player}
+                                        </button>
+                                    )) : players.map((_, i) => (
                                         <button
                                             key={i + 1}
                                             onClick={() => setSelectedGuess(i + 1)}
@@ -531,9 +1112,34 @@ const App = () => {
                                         </button>
                                     ))}
                                 </div>
+                                {settings && settings.maxWager > 0 && (
+                                    <div className="wager-picker">
+                                        <div className="section-label">Wager</div>
+                                        {maxWager > 0 ? (
+                                            <>
+                                                <div className="vote-grid">
+                                                    {Array.from({ length: maxWager + 1 }, (_, chips) => (
+                                                        <button
+                                                            key={chips}
+                                                            onClick={() => setSelectedWager(chips)}
+                                                            className={`vote-btn ${selectedWager === chips ? 'selected' : ''}`}
+                                                        >
+                                                            {chips === 0 ? 'None' : `🪙 ${chips}`}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                                <p className="waiting-tip">
+                                                    {isAnonymous ? 'Right name' : 'Exact guess'}: win double your stake. Anything else: lose it.
+                                                </p>
+                                            </>
+                                        ) : (
+                                            <p className="waiting-tip">Score some points to start wagering.</p>
+                                        )}
+                                    </div>
+                                )}
                                 {guessAccepted && (
                                     <p style={{ fontSize: '0.85rem', color: '#be123c', fontWeight: 600, marginBottom: 10 }}>
-                                        ✅ Guess submitted! Pick a different number to change it.
+                                        ✅ Guess submitted! Pick a different {isAnonymous ? 'player' : 'number'} to change it.
                                     </p>
                                 )}
                                 <button
@@ -553,57 +1159,146 @@ const App = () => {
             {gameState === 'reveal' && !noMoreQuestions && (
                 <div>
                     <div className="reveal-imposter">
-                        <div className="reveal-imposter-label">{currentTarget} was ranked</div>
-                        <div className="reveal-imposter-name">#{actualPosition}</div>
+                        {isAnonymous ? (
+                            <>
+                                <div className="reveal-imposter-label">This ranking was made by</div>
+                                <div className="reveal-imposter-name">{currentRanker}</div>
+                            </>
+                        ) : isFullRankingReveal ? (
+                            <div className="reveal-imposter-label">The whole ranking</div>
+                        ) : (
+                            <>
+                                <div className="reveal-imposter-label">{currentTarget} was ranked</div>
+                                <div className="reveal-imposter-name">#{actualPosition}</div>
+                            </>
+                        )}
                         <div style={{ fontSize: '0.85rem', color: '#7a8c82', marginTop: 6 }}>
-                            by {currentRanker}
+                            {isAnonymous && `+${revealPoints[currentRanker] || 0} for stumping the others`}
+                            {!isAnonymous && (currentRanker
+                                ? `by ${currentRanker} (+${revealPoints[currentRanker] || 0} as ranker)`
+                                : 'by the group, all rankings combined')}
                         </div>
                     </div>
 
                     <div className="card">
-                        <div className="question-tag question-tag--mb6">{currentRanker}'s Question</div>
+                        <div className="question-tag question-tag--mb6">{questionTag}</div>
                         <div className="question-text question-text--sm question-text--mb16">{currentQuestion}</div>
-                        <div className="section-label">Full Ranking</div>
-                        <div className="player-list" style={{ marginTop: 8 }}>
-                            {(currentFullRanking || []).map((player, i) => (
-                                <div key={player} className={`player-row ${player === currentTarget ? 'is-me' : ''}`}>
-                                    <div className="player-score">{i + 1}</div>
-                                    <span className="player-name">{player}</span>
-                                    {player === currentTarget && (
-                                        <span className="player-vote-val">← target</span>
-                                    )}
+                        {isFullRankingReveal && currentFullRanking ? (
+                            <RankingComparison
+                                actual={currentFullRanking}
+                                ranker={currentRanker || 'Group'}
+                                guesses={currentGuesses}
+                                guessers={players.filter(p => p !== currentRanker)}
+                                revealPoints={revealPoints}
+                                playerName={playerName}
+                            />
+                        ) : currentFullRanking ? (
+                            <>
+                                <div className="section-label">{consensus ? 'Group Consensus' : 'Full Ranking'}</div>
+                                <div className="player-list" style={{ marginTop: 8 }}>
+                                    {currentFullRanking.map((player, i) => (
+                                        <div key={player} className={`player-row ${player === currentTarget ? 'is-me' : ''}`}>
+                                            <div className="player-score">{i + 1}</div>
+                                            <span className="player-name">{player}</span>
+                                            {player === currentTarget && (
+                                                <span className="player-vote-val">← target</span>
+                                            )}
+                                            {consensus && (
+                                                <span className="consensus-points">{consensus.bordaPoints[player]} pts</span>
+                                            )}
+                                        </div>
+                                    ))}
                                 </div>
-                            ))}
-                        </div>
+                            </>
+                        ) : (
+                            <p className="waiting-tip">Target {targetNumber} of {targetCount} — the full ranking is shown after the last target.</p>
+                        )}
+                        {consensus && (
+                            <div className="controversy">
+                                {consensus.mostControversial.length > 0 ? (
+                                    <>
+                                        🌶️ Most controversial: <strong>{consensus.mostControversial.join(', ')}</strong>
+                                        {' '}— {consensus.divergence[consensus.mostControversial[0]]} places away from the group
+                                    </>
+                                ) : (
+                                    '🤝 Everyone ranked it exactly the same!'
+                                )}
+                            </div>
+                        )}
                     </div>
 
-                    <div className="card">
-                        <div className="section-label" style={{ marginBottom: 12 }}>Guesses</div>
-                        <div className="player-list">
-                            {players.filter(p => p !== currentRanker).map(player => {
-                                const guess = currentGuesses[player];
-                                const correct = guess === actualPosition;
-                                return (
-                                    <div key={player} className={`player-row ${player === playerName ? 'is-me' : ''}`}>
-                                        <div className="player-score">{points[player] || 0}</div>
-                                        <span className={`player-name ${player === playerName ? 'me' : ''}`}>
-                                            {player}{player === playerName ? ' (you)' : ''}
-                                        </span>
-                                        <span className={correct ? 'player-vote-val' : 'player-guess-val'}>
-                                            {guess ? `#${guess}` : '—'} {correct ? '✓' : '✗'}
-                                        </span>
-                                    </div>
-                                );
-                            })}
+                    {!isFullRankingReveal && (
+                        <div className="card">
+                            <div className="section-label" style={{ marginBottom: 12 }}>Guesses</div>
+                            <div className="player-list">
+                                {players.filter(p => p !== currentRanker).map(player => {
+                                    const guess = currentGuesses[player];
+                                    const correct = isAnonymous ? guess === currentRanker : guess === actualPosition;
+                                    const gained = revealPoints[player] || 0;
+                                    // Points from the guess itself, before any wager is settled
+                                    const scored = gained - (wagerResults[player] || 0);
+                                    return (
+                                        <div key={player} className={`player-row ${player === playerName ? 'is-me' : ''}`}>
+                                            <div className="player-score">{points[player] || 0}</div>
+                                            <span className={`player-name ${player === playerName ? 'me' : ''}`}>
+                                                {player}{player === playerName ? ' (you)' : ''}
+                                            </span>
+                                            <span className={scored > 0 ? 'player-vote-val' : 'player-guess-val'}>
+                                                {guess ? (isAnonymous ? guess : `#${guess}`) : '—'} {correct ? '✓' : scored > 0 ? '≈' : '✗'}
+                                            </span>
+                                            {currentWagers[player] > 0 && (
+                                                <span className={`wager-result ${wagerResults[player] > 0 ? 'wager-result--won' : ''}`}>
+                                                    🪙 {currentWagers[player]} {wagerResults[player] > 0 ? `won +${wagerResults[player]}` : 'lost'}
+                                                </span>
+                                            )}
+                                            <span className={`points-gained ${gained > 0 ? 'points-gained--scored' : ''}`}>{gained < 0 ? gained : `+${gained}`}</span>
+                                        </div>
+                                    );
+                                })}
+                            </div>
                         </div>
-                    </div>
+                    )}
 
                     {isOwner && (
                         <button onClick={nextReveal} className="btn btn-next btn-full">
                             ➡️ Next
                         </button>
                     )}
-                    {!isOwner && <p className="waiting-hint">⏳ Waiting for the host to continue…</p>}
+                    {!isOwner && (
+                        <p className="waiting-hint">
+                            {phaseDeadline ? '⏳ Next reveal starts automatically…' : '⏳ Waiting for the host to continue…'}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {isOwner && ['ranking', 'guessing', 'reveal'].includes(gameState) && !noMoreQuestions && (
+                <button onClick={endGame} className="btn btn-secondary btn-full end-game-btn">
+                    🏁 End Game
+                </button>
+            )}
+
+            {/* Game over */}
+            {gameState === 'gameOver' && (
+                <div>
+                    <GameOverSummary
+                        players={players}
+                        points={points}
+                        stats={stats}
+                        endReason={endReason}
+                        playerName={playerName}
+                    />
+                    <div className="btn-row history-downloads">
+                        <a href={`/game/${gameId}/history.csv`} download className="btn btn-secondary">⬇️ History (CSV)</a>
+                        <a href={`/game/${gameId}/history.json`} download className="btn btn-secondary">⬇️ History (JSON)</a>
+                    </div>
+                    {isOwner ? (
+                        <button onClick={rematch} className="btn btn-primary btn-full">
+                            🔁 Rematch
+                        </button>
+                    ) : (
+                        <p className="waiting-hint">⏳ Waiting for the host to start a rematch…</p>
+                    )}
                 </div>
             )}
         </div>
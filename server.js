@@ -1,14 +1,23 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 const os = require('os');
-const stringSimilarity = require('string-similarity');
+const { buildGameView } = require('./lib/gameView');
+const { createGameStore } = require('./lib/gameStore');
+const { defaultSettings } = require('./lib/gameSettings');
+const { loadQuestionPacks, getPackQuestions, describeTheme, listPacks } = require('./lib/questionPacks');
+const { createQuestionProvider } = require('./lib/questionProviders');
+const { createUsedQuestionIndex } = require('./lib/similarityIndex');
+const { buildHistory, historyToCsv } = require('./lib/gameHistory');
+const { createSocketGuard } = require('./lib/socketGuard');
+const { botRanking, botGuess, botThinkingTime } = require('./lib/bots');
+const { createGameEngine, isBot, isBanned, pendingMove, guessKind, roundQuestionCount } = require('./lib/gameEngine');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
+const guardSocket = createSocketGuard();
 
 // Serve static files
 app.use(express.static('public'));
@@ -22,23 +31,33 @@ app.get('/app.js', (req, res) => {
     });
 });
 app.get('/faq', (req, res) => res.sendFile('faq.html', { root: 'public' }));
+app.get('/api/packs', (req, res) => res.json(listPacks(questionPacks)));
 app.get('/game/:id', (req, res) => res.sendFile('index.html', { root: 'public' }));
+// Round-by-round record of a game for download; anyone with the Game ID can fetch it
+app.get('/game/:id/history.json', (req, res) => {
+    const game = games[req.params.id];
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    res.attachment(`guess-the-rank-${req.params.id}.json`);
+    res.json(buildHistory(game, req.params.id));
+});
+app.get('/game/:id/history.csv', (req, res) => {
+    const game = games[req.params.id];
+    if (!game) return res.status(404).type('text').send('Game not found');
+    res.attachment(`guess-the-rank-${req.params.id}.csv`);
+    res.type('csv').send(historyToCsv(game));
+});
 app.get('/', (req, res) => {
     console.log(`Serving index.html`);
     res.sendFile('index.html', { root: 'public' });
 });
 
-const games = {};
-let questionPool = [];
-try {
-    const data = fs.readFileSync('questions.json', 'utf8');
-    const parsed = JSON.parse(data);
-    questionPool = [...new Set(parsed.flatMap(q => [q.question, q.specialQuestion]))];
-    console.log(`Loaded ${questionPool.length} unique questions from questions.json`);
-} catch (err) {
-    console.error('Error loading questions.json:', err.message);
-    questionPool = [];
-}
+// Live games are kept in memory; the store snapshots them so a restart can pick up where it left off
+const gameStore = createGameStore();
+// No prototype, so client-sent Game IDs like "constructor" can't match inherited properties
+const games = Object.assign(Object.create(null), gameStore.loadAll());
+console.log(`Game store: ${gameStore.name}, restored ${Object.keys(games).length} game(s)`);
+const questionPacks = loadQuestionPacks('packs');
+console.log(`Loaded ${Object.keys(questionPacks).length} question packs: ${Object.keys(questionPacks).join(', ')}`);
 
 const fallbackQuestions = [
     "Who is the most likely to become a famous inventor?",
@@ -53,8 +72,39 @@ function generateGameId() {
     return Math.random().toString(36).substring(2, 9);
 }
 
-const globalUsedQuestions = new Set();
-const questionCache = [];
+const questionProvider = createQuestionProvider();
+console.log(`Question provider: ${questionProvider.name}`);
+
+// Generated questions already handed out in any game; new ones scoring above the
+// threshold against an entry count as duplicates
+const usedQuestionIndex = createUsedQuestionIndex();
+console.log(`Similarity index: ${usedQuestionIndex.size} question(s), threshold ${usedQuestionIndex.threshold}`);
+
+// Pack and fallback questions come back game after game, so they stay out of the index
+// and are only kept from repeating within a game (its usedQuestions)
+const poolQuestionSet = new Set([...getPackQuestions(questionPacks, Object.keys(questionPacks)), ...fallbackQuestions]);
+
+// Question prefetching. A background warm-up keeps QUESTION_CACHE_TARGET validated
+// questions per theme; a round start takes from that cache and only waits on the
+// provider (each request capped at QUESTION_API_TIMEOUT_MS, all of them together at
+// QUESTION_FETCH_BUDGET_MS) for whatever the cache can't cover before using the packs.
+const QUESTION_CACHE_TARGET = parseInt(process.env.QUESTION_CACHE_TARGET, 10) || 20;
+const QUESTION_API_TIMEOUT_MS = parseInt(process.env.QUESTION_API_TIMEOUT_MS, 10) || 5000;
+const QUESTION_FETCH_BUDGET_MS = parseInt(process.env.QUESTION_FETCH_BUDGET_MS, 10) || 8000;
+const QUESTION_BATCH_SIZE = 10;
+const warmingThemes = new Set();
+
+// Leftover generated questions, kept per theme (set of packs) so a spicy game's
+// questions never end up in a family game
+const questionCaches = {};
+function getThemeKey(packIds) {
+    return [...packIds].sort().join('+');
+}
+function getQuestionCache(packIds) {
+    const themeKey = getThemeKey(packIds);
+    questionCaches[themeKey] = questionCaches[themeKey] || [];
+    return questionCaches[themeKey];
+}
 
 // Inactivity cleanup: delete games inactive for 1 hour
 const GAME_TIMEOUT_MS = 60 * 60 * 1000;
@@ -65,139 +115,177 @@ setInterval(() => {
         if (game.lastActivity && now - game.lastActivity > GAME_TIMEOUT_MS) {
             console.log(`Cleaning up inactive game ${gameId}`);
             io.to(gameId).emit('gameExpired');
-            delete games[gameId];
+            deleteGame(gameId);
         }
     }
 }, 5 * 60 * 1000);
 
-function touchGame(gameId) {
-    if (games[gameId]) games[gameId].lastActivity = Date.now();
+// Snapshot a game after every state transition
+function saveGame(gameId) {
+    const game = games[gameId];
+    if (!game) return;
+    try {
+        gameStore.save(gameId, game);
+    } catch (err) {
+        console.error(`Game ${gameId}: Failed to save snapshot: ${err.message}`);
+    }
+}
+
+function deleteGame(gameId) {
+    clearPhaseTimer(gameId);
+    clearBotTimers(gameId);
+    Object.values(disconnectTimers[gameId] || {}).forEach(clearTimeout);
+    delete disconnectTimers[gameId];
+    delete heldQuestions[gameId];
+    delete games[gameId];
+    try {
+        gameStore.remove(gameId);
+    } catch (err) {
+        console.error(`Game ${gameId}: Failed to remove snapshot: ${err.message}`);
+    }
+}
+
+// Format, duplicate and similarity checks for a fresh batch from the provider.
+// `usedQuestions` holds extra questions to reject besides the global set.
+function filterGeneratedQuestions(newQuestions, usedQuestions, logPrefix) {
+    if (newQuestions.some(q => !q || typeof q !== 'string' || !q.startsWith('Who is the most likely to'))) {
+        throw new Error(`Invalid question format from ${questionProvider.name}`);
+    }
+
+    const validQuestions = [];
+    for (const question of newQuestions) {
+        if (validQuestions.includes(question) || usedQuestions.has(question) || usedQuestionIndex.has(question)) {
+            console.log(`${logPrefix}: Generated question is a duplicate: ${question}`);
+            continue;
+        }
+
+        const similar = usedQuestionIndex.findSimilar(question);
+        if (similar) {
+            console.log(`${logPrefix}: Question too similar to existing (${similar.question}), similarity: ${similar.similarity}`);
+            continue;
+        }
+        validQuestions.push(question);
+    }
+    return validQuestions;
+}
+
+// One provider request for `count` questions in the theme of `packIds`
+function generateQuestions(packIds, count, timeoutMs) {
+    const themeQuestions = getPackQuestions(questionPacks, packIds);
+    const examples = [...(themeQuestions.length >= 3 ? themeQuestions : fallbackQuestions)]
+        .sort(() => Math.random() - 0.5)
+        .slice(0, 3);
+    return questionProvider.generate({
+        count,
+        theme: describeTheme(questionPacks, packIds),
+        examples,
+        timeoutMs
+    });
+}
+
+function logProviderError(logPrefix, error) {
+    console.error(`${logPrefix}: Error generating questions with ${questionProvider.name}:`, {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data
+    });
+}
+
+// Background warm-up: top a theme's cache up to QUESTION_CACHE_TARGET so round
+// starts can be served without waiting on the provider. At most one warm-up runs
+// per theme; it gives up after a few failed requests and tries again on the next draw.
+async function warmQuestionCache(packIds) {
+    if (!questionProvider.generate) return;
+    const themeKey = getThemeKey(packIds);
+    if (warmingThemes.has(themeKey)) return;
+    const questionCache = getQuestionCache(packIds);
+    if (questionCache.length >= QUESTION_CACHE_TARGET) return;
+
+    warmingThemes.add(themeKey);
+    const logPrefix = `Cache ${themeKey}`;
+    let failures = 0;
+    try {
+        while (questionCache.length < QUESTION_CACHE_TARGET && failures < 3) {
+            const count = Math.min(QUESTION_BATCH_SIZE, QUESTION_CACHE_TARGET - questionCache.length);
+            try {
+                const newQuestions = await generateQuestions(packIds, count, QUESTION_API_TIMEOUT_MS);
+                const validQuestions = filterGeneratedQuestions(newQuestions, new Set(questionCache), logPrefix);
+                if (validQuestions.length === 0) failures++;
+                questionCache.push(...validQuestions);
+                console.log(`${logPrefix}: ${questionCache.length}/${QUESTION_CACHE_TARGET} questions cached`);
+            } catch (error) {
+                failures++;
+                logProviderError(logPrefix, error);
+            }
+        }
+    } finally {
+        warmingThemes.delete(themeKey);
+    }
+}
+
+// Questions drawn for a game but not handed to it yet. A draw has to avoid these as well
+// as the game's usedQuestions, so overlapping draws (two players rerolling at once)
+// never pick the same question.
+const heldQuestions = {};
+function questionsTakenBy(gameId) {
+    const held = heldQuestions[gameId] = heldQuestions[gameId] || new Set();
+    return {
+        has: question => held.has(question) || !!(games[gameId] && games[gameId].usedQuestions.has(question)),
+        add: question => held.add(question)
+    };
 }
 
-async function selectQuestions(gameId, numQuestions) {
+function releaseQuestions(gameId, questions) {
+    questions.forEach(question => (heldQuestions[gameId] || new Set()).delete(question));
+}
+
+async function selectQuestions(gameId, usedQuestions, numQuestions) {
     const game = games[gameId];
     if (!game) {
         console.error(`Game ${gameId}: Game not found`);
         return [];
     }
 
-    if (!process.env.GROQ_API_KEY) {
-        console.error(`Game ${gameId}: GROQ_API_KEY not set, falling back to question pool`);
-        return selectFromQuestionPool(gameId, game, numQuestions);
+    if (!questionProvider.generate) {
+        return selectFromQuestionPool(gameId, game, usedQuestions, numQuestions);
     }
 
-    const usedQuestions = game.usedQuestions || new Set();
-    game.usedQuestions = usedQuestions;
     const maxRetries = 10;
+    const packIds = game.settings.questionPacks;
+    const questionCache = getQuestionCache(packIds);
 
     console.log(`Game ${gameId}: Free memory: ${os.freemem() / 1024 / 1024} MB, Total memory: ${os.totalmem() / 1024 / 1024} MB`);
 
-    // Check cache for enough questions
-    const cachedQuestions = [];
-    while (questionCache.length > 0 && cachedQuestions.length < numQuestions) {
+    // Serve from the warmed cache first
+    const selectedQuestions = [];
+    while (questionCache.length > 0 && selectedQuestions.length < numQuestions) {
         const cachedQuestion = questionCache.shift();
-        if (!usedQuestions.has(cachedQuestion) && !globalUsedQuestions.has(cachedQuestion)) {
-            cachedQuestions.push(cachedQuestion);
+        if (!usedQuestions.has(cachedQuestion) && !usedQuestionIndex.has(cachedQuestion)) {
+            selectedQuestions.push(cachedQuestion);
             usedQuestions.add(cachedQuestion);
             console.log(`Game ${gameId}: Used cached question: ${cachedQuestion}`);
         }
     }
-    if (cachedQuestions.length >= numQuestions) {
-        console.log(`Game ${gameId}: Found ${cachedQuestions.length} questions from cache`);
-        return cachedQuestions.slice(0, numQuestions);
-    }
 
-    // Need to fetch more questions from API
-    const questionsNeeded = numQuestions - cachedQuestions.length;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Fetch the rest from the provider, but never for longer than the fetch budget
+    const deadline = Date.now() + QUESTION_FETCH_BUDGET_MS;
+    for (let attempt = 1; selectedQuestions.length < numQuestions && attempt <= maxRetries; attempt++) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+            console.log(`Game ${gameId}: Question fetch budget of ${QUESTION_FETCH_BUDGET_MS}ms used up`);
+            break;
+        }
+        const questionsNeeded = numQuestions - selectedQuestions.length;
         try {
-            const timestamp = Date.now();
-            const randomSeed = `${timestamp}-${Math.random().toString(36).substring(2)}`;
-            const examples = fallbackQuestions
-                .sort(() => Math.random() - 0.5)
-                .slice(0, 3)
-                .map((ex, i) => `Example ${i + 1}: {"question": "${ex}"}`)
-                .join('\n');
-
-            const prompt = `
-        You are a game question generator. Return ONLY a valid JSON object with one field: "questions", containing an array of ${questionsNeeded} unique questions. Each question must be phrased as "Who is the most likely to..." and can be either positive/aspirational or humorous/quirky. Ensure all questions are highly unique, varied, and avoid repetition or similarity to previous outputs, examples, or common themes. Do NOT include any text, markdown, backticks, code blocks, comments, explanations, or conversational responses. If you cannot generate the requested output, return an empty JSON object {}.
-        Examples:
-        ${examples}
-        Random seed for uniqueness: ${randomSeed}
-        Output: {"questions": ["<question1>", "<question2>", ...]}
-      `;
-
-            console.log(`Game ${gameId}: Sending prompt to Groq API for ${questionsNeeded} questions (attempt ${attempt})`);
-
-            const response = await axios.post(
-                'https://api.groq.com/openai/v1/chat/completions',
-                {
-                    model: 'llama-3.3-70b-versatile',
-                    messages: [{ role: 'user', content: prompt }],
-                    max_tokens: 500,
-                    temperature: 1.2,
-                    top_p: 1.0,
-                    frequency_penalty: 0.5,
-                    presence_penalty: 0.5
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-            let responseText = response.data.choices[0]?.message?.content || '{}';
-            console.log(`Game ${gameId}: Raw response: ${responseText}`);
-
-            responseText = responseText.replace(/```json\n|```\n/g, '').trim();
-            console.log(`Game ${gameId}: Cleaned response: ${responseText}`);
-
-            if (responseText === '{}' || !responseText.trim()) {
-                console.error(`Game ${gameId}: Empty or invalid response from Groq API (attempt ${attempt})`);
-                continue;
-            }
-
-            let questionData;
-            try {
-                questionData = JSON.parse(responseText);
-                if (!questionData.questions || !Array.isArray(questionData.questions) || questionData.questions.length < questionsNeeded) {
-                    throw new Error('Missing or insufficient questions in JSON');
-                }
-                for (const q of questionData.questions) {
-                    if (!q || typeof q !== 'string' || !q.startsWith('Who is the most likely to')) {
-                        throw new Error('Invalid question format');
-                    }
-                }
-            } catch (parseError) {
-                console.error(`Game ${gameId}: JSON parse error: ${parseError.message}`);
-                continue;
-            }
-
-            const newQuestions = questionData.questions;
-            const validQuestions = [];
-
-            // Validate uniqueness and similarity
-            for (const question of newQuestions) {
-                if (usedQuestions.has(question) || globalUsedQuestions.has(question)) {
-                    console.log(`Game ${gameId}: Generated question is a duplicate: ${question}`);
-                    continue;
-                }
-
-                let isSimilar = false;
-                for (const existingKey of globalUsedQuestions) {
-                    const similarity = stringSimilarity.compareTwoStrings(question, existingKey);
-                    if (similarity > 0.65) {
-                        isSimilar = true;
-                        console.log(`Game ${gameId}: Question too similar to existing (${existingKey}), similarity: ${similarity}`);
-                        break;
-                    }
-                }
-                if (!isSimilar) {
-                    validQuestions.push(question);
-                    usedQuestions.add(question);
-                    console.log(`Game ${gameId}: Accepted question: ${question}`);
-                }
+            console.log(`Game ${gameId}: Requesting ${questionsNeeded} questions from ${questionProvider.name} (attempt ${attempt})`);
+            const newQuestions = await generateQuestions(packIds, questionsNeeded, Math.min(QUESTION_API_TIMEOUT_MS, remainingMs));
+            const validQuestions = filterGeneratedQuestions(newQuestions, usedQuestions, `Game ${gameId}`);
+
+            for (const question of validQuestions.slice(0, questionsNeeded)) {
+                selectedQuestions.push(question);
+                usedQuestions.add(question);
+                console.log(`Game ${gameId}: Accepted question: ${question}`);
             }
 
             // Cache extra questions
@@ -205,44 +293,35 @@ async function selectQuestions(gameId, numQuestions) {
                 questionCache.push(...validQuestions.slice(questionsNeeded));
                 console.log(`Game ${gameId}: Cached ${validQuestions.length - questionsNeeded} extra questions`);
             }
-
-            // Combine with cached questions
-            const allQuestions = [...cachedQuestions, ...validQuestions.slice(0, questionsNeeded)];
-            if (allQuestions.length >= numQuestions) {
-                console.log(`Game ${gameId}: Successfully fetched ${allQuestions.length} questions`);
-                return allQuestions.slice(0, numQuestions);
-            }
-
-            console.log(`Game ${gameId}: Not enough valid questions (${allQuestions.length}/${numQuestions}), retrying (${attempt}/${maxRetries})`);
         } catch (error) {
-            console.error(`Game ${gameId}: Error generating questions with Groq API (attempt ${attempt}):`, {
-                message: error.message,
-                status: error.response?.status,
-                statusText: error.response?.statusText,
-                data: error.response?.data
-            });
+            logProviderError(`Game ${gameId}`, error);
         }
     }
 
-    console.log(`Game ${gameId}: Falling back to question pool after ${maxRetries} attempts`);
-    return selectFromQuestionPool(gameId, game, numQuestions);
+    // Refill the cache for the next draw without holding up this one
+    warmQuestionCache(packIds);
+
+    if (selectedQuestions.length >= numQuestions) {
+        console.log(`Game ${gameId}: Selected ${selectedQuestions.length} questions`);
+        return selectedQuestions;
+    }
+
+    const missing = numQuestions - selectedQuestions.length;
+    console.log(`Game ${gameId}: Falling back to question pool for ${missing} question(s)`);
+    return [...selectedQuestions, ...selectFromQuestionPool(gameId, game, usedQuestions, missing)];
 }
 
-function selectFromQuestionPool(gameId, game, numQuestions) {
-    const usedQuestions = game.usedQuestions || new Set();
-    const availableQuestions = questionPool.filter(
-        q => !usedQuestions.has(q) && !globalUsedQuestions.has(q)
-    );
+// Up to `numQuestions` questions the game hasn't used from its packs, then the fallbacks.
+// Fewer when they run out; the caller decides whether that's enough.
+function selectFromQuestionPool(gameId, game, usedQuestions, numQuestions) {
+    const questionPool = getPackQuestions(questionPacks, game.settings.questionPacks);
+    const availableQuestions = questionPool.filter(q => !usedQuestions.has(q));
 
     if (availableQuestions.length < numQuestions) {
-        const availableFallbacks = fallbackQuestions.filter(
-            q => !usedQuestions.has(q) && !globalUsedQuestions.has(q)
-        );
+        const availableFallbacks = fallbackQuestions.filter(q => !usedQuestions.has(q));
         const combinedQuestions = [...availableQuestions, ...availableFallbacks];
         if (combinedQuestions.length < numQuestions) {
             console.log(`Game ${gameId}: Not enough unique questions available (${combinedQuestions.length}/${numQuestions})`);
-            io.to(gameId).emit('gameState', { ...game, noMoreQuestions: true });
-            return [];
         }
         const selectedQuestions = combinedQuestions
             .sort(() => Math.random() - 0.5)
@@ -264,403 +343,437 @@ function selectFromQuestionPool(gameId, game, numQuestions) {
     return selectedQuestions;
 }
 
-async function assignQuestions(gameId) {
+// Take up to `count` unused questions from the host's custom list
+function takeCustomQuestions(game, usedQuestions, count) {
+    const selected = (game.customQuestions || [])
+        .filter(q => !usedQuestions.has(q))
+        .sort(() => Math.random() - 0.5)
+        .slice(0, count);
+    selected.forEach(q => usedQuestions.add(q));
+    return selected;
+}
+
+// Mix the host's custom questions with generated ones at the host's chosen ratio,
+// topping up with generated questions once the custom list runs out. "Custom only"
+// never tops up: a round it can't deal ends the game for lack of questions.
+async function drawQuestions(gameId, numQuestions) {
     const game = games[gameId];
-    const numPlayers = game.players.length;
-    const questions = await selectQuestions(gameId, numPlayers);
-    if (questions.length < numPlayers) {
-        console.error(`Game ${gameId}: Failed to fetch enough questions (${questions.length}/${numPlayers})`);
-        return false;
+    const usedQuestions = questionsTakenBy(gameId);
+    // Round the custom share randomly so a single reroll still honors the ratio on average
+    const exactShare = numQuestions * game.settings.customQuestionMix / 100;
+    const customCount = Math.floor(exactShare) + (Math.random() < exactShare % 1 ? 1 : 0);
+    const custom = takeCustomQuestions(game, usedQuestions, customCount);
+    if (custom.length === numQuestions) return custom;
+    if (game.settings.customQuestionMix === 100) {
+        console.log(`Game ${gameId}: Only ${custom.length}/${numQuestions} custom questions left`);
+        return custom;
     }
-    // Shuffle and assign
-    questions.sort(() => Math.random() - 0.5);
-    game.questionAssignments = {};
-    game.rankings = {};
-    game.rankers = [...game.players].sort(() => Math.random() - 0.5);
-    game.currentRevealIndex = 0;
-    game.players.forEach((player, idx) => {
-        game.questionAssignments[player] = questions[idx];
-        globalUsedQuestions.add(questions[idx]);
-        console.log(`Game ${gameId}: Assigned question to ${player}: ${questions[idx]}`);
+
+    if (custom.length < customCount) {
+        console.log(`Game ${gameId}: Only ${custom.length}/${customCount} custom questions left, filling with generated ones`);
+    }
+    const generated = await selectQuestions(gameId, usedQuestions, numQuestions - custom.length);
+    return [...custom, ...generated];
+}
+
+// Answer the engine's questionsNeeded: draw the questions, then hand them to the round
+// or to the player who rerolled
+async function supplyQuestions(gameId, { reason, count, player }) {
+    const questions = await drawQuestions(gameId, count).catch((err) => {
+        console.error(`Game ${gameId}: Failed to draw questions: ${err.message}`);
+        return [];
     });
-    return true;
+    if (games[gameId]) {
+        // Only a round that can't be dealt means the game is out of questions; a reroll
+        // just gets offered whatever is left
+        if (reason === 'round' && questions.length < count) broadcastGameState(gameId, { noMoreQuestions: true });
+        dispatch(gameId, reason === 'round' ? { type: 'startRound', questions } : { type: 'offerQuestions', player, questions });
+    }
+    releaseQuestions(gameId, questions);
+}
+
+// The rules live in the engine; everything below carries its decisions out over
+// Socket.io, timers and the store
+const engine = createGameEngine();
+
+// Run an action against a game and carry out the result. Returns the engine's result,
+// so handlers can tell the sender about an error.
+function dispatch(gameId, action) {
+    const result = engine.dispatch(games[gameId], action);
+    applyResult(gameId, result);
+    return result;
 }
 
-// Broadcast game state to all players individually (so each gets their own question)
-function broadcastGameState(gameId, extraPerPlayer = {}) {
+function applyResult(gameId, result) {
+    if (!result.accepted) return;
+    games[gameId] = result.game;
+    for (const event of result.events) {
+        handleEngineEvent(gameId, event);
+        if (!games[gameId]) return;
+    }
+    syncPhaseTimer(gameId);
+    saveGame(gameId);
+    if (result.onlyFor) {
+        emitToPlayer(gameId, result.onlyFor, (socket) => emitGameState(socket, gameId));
+        scheduleBotMoves(gameId);
+    } else {
+        broadcastGameState(gameId);
+    }
+}
+
+function handleEngineEvent(gameId, event) {
+    switch (event.type) {
+    case 'log':
+        console.log(`Game ${gameId}: ${event.message}`);
+        break;
+    case 'questionsNeeded':
+        supplyQuestions(gameId, event);
+        break;
+    case 'questionsUsed':
+        event.questions
+            .filter(question => !poolQuestionSet.has(question))
+            .forEach(question => usedQuestionIndex.add(question));
+        break;
+    case 'error':
+        emitToPlayer(gameId, event.to, (socket) => rejectRequest(socket, event.action, event.message));
+        break;
+    case 'customQuestionsResult':
+        emitToPlayer(gameId, event.player, (socket) => socket.emit('customQuestionsResult', { accepted: event.accepted, rejected: event.rejected }));
+        break;
+    case 'spectatorJoined':
+        io.to(gameId).emit('spectatorJoined', { playerName: event.player });
+        break;
+    case 'ownerChanged':
+        io.to(gameId).emit('ownerChanged', { newOwner: event.newOwner });
+        break;
+    case 'playerRemoved':
+        // Their sockets are told why and taken out of the room before the game moves on
+        emitToPlayer(gameId, event.player, (socket) => {
+            socket.emit('removedFromGame', { gameId, reason: event.reason });
+            socket.leave(gameId);
+        });
+        cancelDisconnectTimer(gameId, event.player);
+        break;
+    case 'rematchCreated':
+        openRematch(gameId, event.gameId, event.game);
+        break;
+    case 'gameEmpty':
+        deleteGame(gameId);
+        break;
+    }
+}
+
+// Run `fn` for each of `playerName`'s sockets in the game's room
+function emitToPlayer(gameId, playerName, fn) {
+    const room = io.sockets.adapter.rooms.get(gameId);
+    for (const socketId of room ? [...room] : []) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && socket.playerName === playerName) fn(socket);
+    }
+}
+
+// Refusals of every kind, from the socket guard or the game rules, reach the client the
+// same way: 'requestRejected' { event, message }
+function rejectRequest(socket, event, message) {
+    socket.emit('requestRejected', { event, message });
+}
+
+// Issue a fresh secret reconnect token for a seat; rejoinGame requires it to take the seat back
+function newSessionToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function isValidSessionToken(game, playerName, token) {
+    const expected = (game.sessionTokens || {})[playerName];
+    if (!expected || typeof token !== 'string') return false;
+    // Compare byte lengths, not string lengths: multibyte characters would make
+    // timingSafeEqual throw
+    const given = Buffer.from(token);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Put a socket in a game's room under the name it took a seat with
+function seatSocket(socket, gameId, playerName, token) {
+    socket.join(gameId);
+    socket.playerName = playerName;
+    socket.emit('sessionToken', { gameId, token });
+}
+
+// Send a single socket its own view of the game
+function emitGameState(socket, gameId, overrides = {}) {
     const game = games[gameId];
     if (!game) return;
-    game.players.forEach(player => {
-        const playerSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === player && s.rooms.has(gameId));
-        if (playerSocket) {
-            playerSocket.emit('gameState', {
-                ...game,
-                myQuestion: game.questionAssignments[player] || '',
-                ...(extraPerPlayer[player] || {})
-            });
-        }
-    });
-    // Also send to spectators
-    (game.spectators || []).forEach(spectator => {
-        const specSocket = Array.from(io.sockets.sockets.values())
-            .find(s => s.playerName === spectator && s.rooms.has(gameId));
-        if (specSocket) {
-            specSocket.emit('gameState', { ...game, isSpectator: true });
-        }
-    });
+    socket.emit('gameState', { ...buildGameView(game, gameId, socket.playerName), ...overrides });
 }
 
-io.on('connection', (socket) => {
-    socket.on('createGame', (playerName) => {
-        const gameId = generateGameId();
-        games[gameId] = {
-            players: [playerName],
-            spectators: [],
-            points: { [playerName]: 0 },
-            state: 'waiting',
-            owner: playerName,
-            usedQuestions: new Set(),
-            questionAssignments: {},
-            rankings: {},
-            currentRanker: null,
-            currentTarget: null,
-            currentQuestion: null,
-            currentGuesses: {},
-            actualPosition: null,
-            currentFullRanking: null,
-            rankers: [],
-            currentRevealIndex: 0,
-            noMoreQuestions: false,
-            lastActivity: Date.now()
-        };
-        socket.join(gameId);
-        socket.playerName = playerName;
-        socket.emit('gameState', { ...games[gameId], gameId });
-        console.log(`Game ${gameId}: Created by ${playerName}`);
-    });
+// Broadcast game state to everyone in the room individually (so each only sees what their role allows)
+function broadcastGameState(gameId, overrides = {}) {
+    const game = games[gameId];
+    if (!game) return;
+    // Every state change goes out through here, so it's where bots notice it's their turn
+    scheduleBotMoves(gameId);
+    const room = io.sockets.adapter.rooms.get(gameId);
+    if (!room) return;
+    for (const socketId of room) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket) emitGameState(socket, gameId, overrides);
+    }
+}
 
-    socket.on('joinGame', ({ gameId, playerName }) => {
-        if (!games[gameId]) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-        if (games[gameId].players.includes(playerName) || (games[gameId].spectators || []).includes(playerName)) {
-            socket.emit('error', 'Name already taken');
-            return;
-        }
-        touchGame(gameId);
-        const game = games[gameId];
+// The engine has built the rematch; give it its Game ID and bring the group over.
+// Session tokens carry over, connected sockets are moved straight in and anyone still
+// disconnected is redirected when they rejoin the old game.
+function openRematch(oldGameId, gameId, game) {
+    games[gameId] = game;
+    const moved = new Set();
+    for (const socketId of [...(io.sockets.adapter.rooms.get(oldGameId) || [])]) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket) continue;
+        socket.leave(oldGameId);
         socket.join(gameId);
-        socket.playerName = playerName;
-
-        // If game is in progress, add as spectator
-        if (game.state !== 'waiting') {
-            game.spectators = game.spectators || [];
-            game.spectators.push(playerName);
-            socket.emit('gameState', { ...game, gameId, isSpectator: true });
-            io.to(gameId).emit('spectatorJoined', { playerName });
-            console.log(`Game ${gameId}: ${playerName} joined as spectator`);
-            return;
+        moved.add(socket.playerName);
+        if (game.sessionTokens[socket.playerName]) {
+            socket.emit('sessionToken', { gameId, token: game.sessionTokens[socket.playerName] });
         }
+    }
+    saveGame(gameId);
+    broadcastGameState(gameId);
+    // Players who weren't connected get the usual grace period to follow
+    game.players.filter(name => !moved.has(name) && !isBot(game, name)).forEach(name => handlePlayerLeave(gameId, name, false));
+}
 
-        game.players.push(playerName);
-        game.points[playerName] = 0;
-        io.to(gameId).emit('gameState', { ...game, gameId });
-        console.log(`Game ${gameId}: ${playerName} joined`);
-    });
+// Old links and sessions for a rematched game lead to the group's latest game
+function resolveGameId(gameId) {
+    while (games[gameId] && games[gameId].rematchGameId && games[games[gameId].rematchGameId]) {
+        gameId = games[gameId].rematchGameId;
+    }
+    return gameId;
+}
 
-    socket.on('rejoinGame', ({ gameId, playerName }) => {
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found or expired');
-            return;
-        }
-        touchGame(gameId);
+// Optional per-phase countdowns. The engine stores the deadline on the game (and it's sent
+// to clients); the timer handle lives here so snapshots stay serializable
+const phaseTimers = {};
 
-        // Cancel any pending removal timer for this player
-        if (game.disconnectTimers && game.disconnectTimers[playerName]) {
-            clearTimeout(game.disconnectTimers[playerName]);
-            delete game.disconnectTimers[playerName];
-            console.log(`Game ${gameId}: ${playerName} rejoined within grace period`);
-        }
+function clearPhaseTimer(gameId) {
+    clearTimeout((phaseTimers[gameId] || {}).timer);
+    delete phaseTimers[gameId];
+}
 
-        socket.join(gameId);
-        socket.playerName = playerName;
+// Match the running timer to the game's current deadline
+function syncPhaseTimer(gameId) {
+    const game = games[gameId];
+    const current = phaseTimers[gameId];
+    if (current && current.deadline === game.phaseDeadline && current.phase === game.state) return;
+    clearPhaseTimer(gameId);
+    if (!game.phaseDeadline) return;
+    const phase = game.state;
+    const timer = setTimeout(() => {
+        delete phaseTimers[gameId];
+        if (games[gameId]) dispatch(gameId, { type: 'phaseTimeout', phase });
+    }, Math.max(0, game.phaseDeadline - Date.now()));
+    phaseTimers[gameId] = { deadline: game.phaseDeadline, phase, timer };
+}
 
-        const isPlayer = game.players.includes(playerName);
-        const isSpectator = (game.spectators || []).includes(playerName);
+// Seats of disconnected players, freed when their grace period runs out
+const disconnectTimers = {};
 
-        if (!isPlayer && !isSpectator) {
-            // New join mid-game → spectator
-            if (game.state !== 'waiting') {
-                game.spectators = game.spectators || [];
-                game.spectators.push(playerName);
-                game.points[playerName] = 0;
-                socket.emit('gameState', { ...game, gameId, isSpectator: true });
-                io.to(gameId).emit('spectatorJoined', { playerName });
-                return;
-            }
-            // Waiting room → add as player
-            game.players.push(playerName);
-            game.points[playerName] = 0;
-            io.to(gameId).emit('gameState', { ...game, gameId });
-            return;
-        }
+function cancelDisconnectTimer(gameId, playerName) {
+    const timers = disconnectTimers[gameId] || {};
+    if (!timers[playerName]) return false;
+    clearTimeout(timers[playerName]);
+    delete timers[playerName];
+    return true;
+}
 
-        // Existing player or spectator rejoining
-        socket.emit('gameState', {
-            ...game,
-            gameId,
-            myQuestion: game.questionAssignments[playerName] || '',
-            isSpectator: isSpectator && !isPlayer
-        });
-        console.log(`Game ${gameId}: ${playerName} rejoined`);
-    });
+function handlePlayerLeave(gameId, playerName, immediate = false) {
+    const game = games[gameId];
+    if (!game) return;
 
-    socket.on('leaveGame', ({ gameId, playerName }) => {
-        handlePlayerLeave(gameId, playerName, false);
-    });
+    const doRemove = () => {
+        if (games[gameId]) dispatch(gameId, { type: 'removePlayer', player: playerName });
+    };
+
+    if (immediate) {
+        doRemove();
+    } else {
+        // Grace period before removal, configured by the host
+        const graceSeconds = game.settings.gracePeriodSeconds;
+        cancelDisconnectTimer(gameId, playerName);
+        disconnectTimers[gameId] = disconnectTimers[gameId] || {};
+        disconnectTimers[gameId][playerName] = setTimeout(() => {
+            delete disconnectTimers[gameId][playerName];
+            doRemove();
+        }, graceSeconds * 1000);
+        console.log(`Game ${gameId}: ${playerName} disconnected — ${graceSeconds}s grace period started`);
+    }
+}
 
-    socket.on('rerollQuestion', async (gameId) => {
-        if (!games[gameId]) return;
-        const game = games[gameId];
-        if (game.state !== 'ranking') return;
-        if (game.rankings[socket.playerName]) return;
-        touchGame(gameId);
+// Bots. Like phase timers, their pending moves live here rather than on the game;
+// after a restart scheduleBotMoves picks up wherever the game was.
+const botTimers = {};
 
-        const newQuestions = await selectQuestions(gameId, 1);
-        if (!newQuestions || newQuestions.length === 0) {
-            socket.emit('error', 'No new question available, sorry!');
-            return;
-        }
+function clearBotTimers(gameId) {
+    Object.values(botTimers[gameId] || {}).forEach(clearTimeout);
+    delete botTimers[gameId];
+}
+
+function scheduleBotMoves(gameId) {
+    const game = games[gameId];
+    if (!game || !(game.bots || []).length) return;
+    botTimers[gameId] = botTimers[gameId] || {};
+    for (const bot of game.bots) {
+        if (botTimers[gameId][bot] || !pendingMove(game, bot)) continue;
+        botTimers[gameId][bot] = setTimeout(() => {
+            delete botTimers[gameId][bot];
+            playBotMove(gameId, bot);
+        }, botThinkingTime());
+    }
+}
 
-        game.questionAssignments[socket.playerName] = newQuestions[0];
-        globalUsedQuestions.add(newQuestions[0]);
-        console.log(`Game ${gameId}: ${socket.playerName} got a new question: ${newQuestions[0]}`);
+// Bots move through the same actions as everyone else
+function playBotMove(gameId, bot) {
+    const game = games[gameId];
+    const move = game && pendingMove(game, bot);
+    if (!move) return;
+    const action = move === 'ranking'
+        ? { type: 'submitRanking', player: bot, ranking: botRanking(bot, game.players) }
+        : { type: 'submitGuess', player: bot, guess: botGuess(bot, { kind: guessKind(game), players: game.players, target: game.currentTarget }) };
+    const result = dispatch(gameId, action);
+    if (result.error) console.error(`Game ${gameId}: Bot ${bot} move refused: ${result.error}`);
+}
 
-        socket.emit('gameState', {
-            ...game,
-            gameId,
-            myQuestion: newQuestions[0],
-        });
-    });
+io.on('connection', (socket) => {
+    // Payload checks and rate limits run before every handler below
+    guardSocket(socket);
 
-    socket.on('startGame', async (gameId) => {
-        if (!games[gameId] || games[gameId].owner !== socket.playerName) {
-            socket.emit('error', 'Only the game owner can start the game');
-            return;
-        }
-        touchGame(gameId);
-        const game = games[gameId];
-        const success = await assignQuestions(gameId);
-        if (!success) {
-            socket.emit('error', 'No more unique questions available.');
-            return;
+    // Dispatch a player's action on their behalf and report a refusal to them
+    // (action types are named after the socket events)
+    const act = (gameId, action) => {
+        if (!games[gameId]) {
+            rejectRequest(socket, action.type, 'Game not found');
+            return {};
         }
-        game.state = 'ranking';
-        broadcastGameState(gameId);
+        const result = dispatch(gameId, { player: socket.playerName, ...action });
+        if (result.error) rejectRequest(socket, action.type, result.error);
+        return result;
+    };
+
+    socket.on('createGame', (playerName) => {
+        const gameId = generateGameId();
+        const token = newSessionToken();
+        games[gameId] = engine.createGame(playerName, token);
+        saveGame(gameId);
+        seatSocket(socket, gameId, playerName, token);
+        emitGameState(socket, gameId);
+        console.log(`Game ${gameId}: Created by ${playerName}`);
     });
 
-    socket.on('submitRanking', ({ gameId, ranking }) => {
-        if (!games[gameId] || !games[gameId].players.includes(socket.playerName)) return;
-        const game = games[gameId];
-        if (game.state !== 'ranking') return;
-        if (ranking.length !== game.players.length || !ranking.every(p => game.players.includes(p))) {
-            socket.emit('error', 'Invalid ranking');
+    // A new seat: the socket goes into the room before the game moves on, so it gets the broadcast
+    const joinAsNewPlayer = (event, gameId, playerName, token) => {
+        const sessionToken = newSessionToken();
+        const result = engine.dispatch(games[gameId], { type: 'join', player: playerName, token, sessionToken });
+        if (result.error) {
+            rejectRequest(socket, event, result.error);
             return;
         }
-        touchGame(gameId);
-        game.rankings[socket.playerName] = ranking;
-        console.log(`Game ${gameId}: ${socket.playerName} submitted ranking`);
-        socket.emit('rankingSubmitted', true);
-        if (Object.keys(game.rankings).length === game.players.length) {
-            setNextReveal(gameId);
-        }
-    });
+        seatSocket(socket, gameId, playerName, sessionToken);
+        applyResult(gameId, result);
+    };
 
-    socket.on('rerollQuestion', async (gameId) => {
-        if (!games[gameId]) return;
-        const game = games[gameId];
-        if (game.state !== 'ranking') return;
-        if (game.rankings[socket.playerName]) return; // already submitted, too late
-        touchGame(gameId);
-
-        const newQuestions = await selectQuestions(gameId, 1);
-        if (!newQuestions || newQuestions.length === 0) {
-            socket.emit('error', 'No new question available, sorry!');
+    socket.on('joinGame', ({ gameId, playerName, token }) => {
+        gameId = resolveGameId(gameId);
+        if (!games[gameId]) {
+            rejectRequest(socket, 'joinGame', 'Game not found');
             return;
         }
-
-        game.questionAssignments[socket.playerName] = newQuestions[0];
-        console.log(`Game ${gameId}: ${socket.playerName} got a new question: ${newQuestions[0]}`);
-
-        // Only send the new question to the player who requested it
-        socket.emit('gameState', {
-            ...game,
-            gameId,
-            myQuestion: newQuestions[0],
-        });
+        joinAsNewPlayer('joinGame', gameId, playerName, token);
     });
 
-    function setNextReveal(gameId) {
+    socket.on('rejoinGame', ({ gameId: requestedGameId, playerName, token }) => {
+        const gameId = resolveGameId(requestedGameId);
         const game = games[gameId];
-        if (game.currentRevealIndex >= game.players.length) {
-            startNewRound(gameId);
+        if (!game) {
+            rejectRequest(socket, 'rejoinGame', 'Game not found or expired');
             return;
         }
-        const ranker = game.rankers[game.currentRevealIndex];
-        const target = game.players[Math.floor(Math.random() * game.players.length)];
-        game.currentRanker = ranker;
-        game.currentTarget = target;
-        game.currentQuestion = game.questionAssignments[ranker];
-        game.currentGuesses = {};
-        game.actualPosition = game.rankings[ranker].indexOf(target) + 1;
-        game.currentFullRanking = null;
-        game.state = 'guessing';
-        console.log(`Game ${gameId}: Starting guess for ranker ${ranker}, target ${target}`);
-        broadcastGameState(gameId, Object.fromEntries(game.players.map(p => [p, { hasSubmittedGuess: false }])));
-    }
-
-    async function startNewRound(gameId) {
-        const game = games[gameId];
-        console.log(`Game ${gameId}: Starting new round`);
-
-        // Promote spectators to players
-        if (game.spectators && game.spectators.length > 0) {
-            game.spectators.forEach(name => {
-                if (!game.players.includes(name)) {
-                    game.players.push(name);
-                    if (!game.points[name]) game.points[name] = 0;
-                }
-            });
-            game.spectators = [];
-        }
 
-        const success = await assignQuestions(gameId);
-        if (!success) {
-            console.error(`Game ${gameId}: No more unique questions available for new round`);
-            io.to(gameId).emit('gameState', { ...game, noMoreQuestions: true });
+        const isPlayer = game.players.includes(playerName);
+        const isSpectator = (game.spectators || []).includes(playerName);
+        if (!isPlayer && !isSpectator) {
+            joinAsNewPlayer('rejoinGame', gameId, playerName, token);
             return;
         }
-        game.state = 'ranking';
-        game.rankings = {};
-        game.currentRanker = null;
-        game.currentTarget = null;
-        game.currentQuestion = null;
-        game.currentGuesses = {};
-        game.actualPosition = null;
-        game.currentFullRanking = null;
-        broadcastGameState(gameId, Object.fromEntries(game.players.map(p => [p, { hasSubmittedRanking: false, hasSubmittedGuess: false }])));
-    }
 
-    socket.on('submitGuess', ({ gameId, guess }) => {
-        if (!games[gameId] || !games[gameId].players.includes(socket.playerName)) return;
-        const game = games[gameId];
-        if (game.state !== 'guessing') return;
-        if (socket.playerName === game.currentRanker) {
-            socket.emit('error', 'You cannot guess as the ranker');
+        if (isBanned(game, playerName, token)) {
+            rejectRequest(socket, 'rejoinGame', 'You have been banned from this game');
             return;
         }
-        if (guess < 1 || guess > game.players.length) {
-            socket.emit('error', 'Invalid guess');
+        // Taking back an existing seat requires the token that was issued with it
+        if (!token) {
+            rejectRequest(socket, 'rejoinGame', `"${playerName}" is already in this game. Rejoin from the browser you joined with, or pick another name`);
             return;
         }
-        touchGame(gameId);
-        game.currentGuesses[socket.playerName] = guess;
-        console.log(`Game ${gameId}: ${socket.playerName} guessed position ${guess}`);
-        const nonRankerPlayers = game.players.filter(p => p !== game.currentRanker);
-        if (Object.keys(game.currentGuesses).length === nonRankerPlayers.length) {
-            // Award points
-            let correctGuessCount = 0;
-            Object.keys(game.currentGuesses).forEach(guesser => {
-                if (game.currentGuesses[guesser] === game.actualPosition) {
-                    game.points[guesser] = (game.points[guesser] || 0) + 1;
-                    correctGuessCount++;
-                }
-            });
-            // Award ranker points: 1 per correct guess, capped at 3
-            const rankerPoints = Math.min(correctGuessCount, 3);
-            game.points[game.currentRanker] = (game.points[game.currentRanker] || 0) + rankerPoints;
-            console.log(`Game ${gameId}: Awarded ${rankerPoints} points to ranker ${game.currentRanker} (${correctGuessCount} correct guesses)`);
-            game.players.sort((a, b) => (game.points[b] || 0) - (game.points[a] || 0));
-            game.currentFullRanking = game.rankings[game.currentRanker];
-            game.state = 'reveal';
-            broadcastGameState(gameId, Object.fromEntries(game.players.map(p => [p, { hasSubmittedGuess: false }])));
-        } else {
-            io.to(gameId).emit('gameState', game);
+        if (!isValidSessionToken(game, playerName, token)) {
+            rejectRequest(socket, 'rejoinGame', `Your session for "${playerName}" is no longer valid. Pick another name to join`);
+            return;
         }
-    });
+        game.lastActivity = Date.now();
 
-    socket.on('nextReveal', (gameId) => {
-        if (!games[gameId] || games[gameId].owner !== socket.playerName) {
-            socket.emit('error', 'Only the game owner can advance');
-            return;
+        if (cancelDisconnectTimer(gameId, playerName)) {
+            console.log(`Game ${gameId}: ${playerName} rejoined within grace period`);
         }
-        const game = games[gameId];
-        if (game.state !== 'reveal') return;
-        touchGame(gameId);
-        game.currentRevealIndex += 1;
-        setNextReveal(gameId);
+
+        socket.join(gameId);
+        socket.playerName = playerName;
+        // After a rematch the client files its token under the new game
+        if (gameId !== requestedGameId) socket.emit('sessionToken', { gameId, token });
+        emitGameState(socket, gameId);
+        console.log(`Game ${gameId}: ${playerName} rejoined`);
     });
 
-    function handlePlayerLeave(gameId, playerName, immediate = false) {
-        const game = games[gameId];
-        if (!game) return;
+    socket.on('kickPlayer', ({ gameId, playerName }) => act(gameId, { type: 'kickPlayer', target: playerName }));
+    socket.on('banPlayer', ({ gameId, playerName }) => act(gameId, { type: 'banPlayer', target: playerName }));
+    socket.on('setLobbyLocked', ({ gameId, locked }) => act(gameId, { type: 'setLobbyLocked', locked }));
+    socket.on('transferHost', ({ gameId, playerName }) => act(gameId, { type: 'transferHost', target: playerName }));
+    socket.on('addBot', (gameId) => act(gameId, { type: 'addBot' }));
 
-        const doRemove = () => {
-            const game = games[gameId];
-            if (!game) return;
-
-            // Remove from spectators if spectating
-            const specIdx = (game.spectators || []).indexOf(playerName);
-            if (specIdx !== -1) {
-                game.spectators.splice(specIdx, 1);
-                io.to(gameId).emit('gameState', game);
-                return;
-            }
+    socket.on('leaveGame', ({ gameId }) => {
+        if (!socket.rooms.has(gameId)) return;
+        socket.leave(gameId);
+        handlePlayerLeave(gameId, socket.playerName, false);
+    });
 
-            const idx = game.players.indexOf(playerName);
-            if (idx === -1) return;
+    socket.on('rerollQuestion', (gameId) => act(gameId, { type: 'rerollQuestion' }));
+    socket.on('pickQuestion', ({ gameId, choice }) => act(gameId, { type: 'pickQuestion', choice }));
 
-            game.players.splice(idx, 1);
-            delete game.points[playerName];
-            delete game.questionAssignments[playerName];
-            delete game.rankings[playerName];
+    socket.on('updateSettings', ({ gameId, settings }) => {
+        const result = act(gameId, { type: 'updateSettings', settings, packIds: Object.keys(questionPacks) });
+        // Start filling the cache for a newly picked theme while the lobby is still open
+        if (result.accepted && settings.questionPacks) warmQuestionCache(games[gameId].settings.questionPacks);
+    });
 
-            if (game.players.length === 0) {
-                console.log(`Game ${gameId}: No players left, deleting game`);
-                delete games[gameId];
-                return;
-            }
+    socket.on('setCustomQuestions', ({ gameId, text }) => {
+        act(gameId, { type: 'setCustomQuestions', text, similarityThreshold: usedQuestionIndex.threshold });
+    });
 
-            // Reassign owner if needed
-            if (game.owner === playerName) {
-                game.owner = game.players[0];
-                console.log(`Game ${gameId}: Owner reassigned to ${game.owner}`);
-                io.to(gameId).emit('ownerChanged', { newOwner: game.owner });
-            }
+    socket.on('startGame', (gameId) => act(gameId, { type: 'startGame' }));
 
-            io.to(gameId).emit('gameState', game);
-            console.log(`Game ${gameId}: ${playerName} removed`);
-        };
+    socket.on('submitRanking', ({ gameId, ranking }) => {
+        const result = act(gameId, { type: 'submitRanking', ranking });
+        if (result.accepted) socket.emit('rankingSubmitted', true);
+    });
 
-        if (immediate) {
-            doRemove();
-        } else {
-            // 15-second grace period
-            game.disconnectTimers = game.disconnectTimers || {};
-            game.disconnectTimers[playerName] = setTimeout(() => {
-                doRemove();
-                if (games[gameId]) delete games[gameId].disconnectTimers[playerName];
-            }, 15000);
-            console.log(`Game ${gameId}: ${playerName} disconnected — 15s grace period started`);
-        }
-    }
+    socket.on('submitGuess', ({ gameId, guess, wager = 0 }) => act(gameId, { type: 'submitGuess', guess, wager }));
+    socket.on('nextReveal', (gameId) => act(gameId, { type: 'nextReveal' }));
+    socket.on('endGame', (gameId) => act(gameId, { type: 'endGame' }));
+    socket.on('rematch', (gameId) => act(gameId, { type: 'rematch', rematchGameId: generateGameId() }));
 
     socket.on('disconnect', () => {
         for (const gameId in games) {
             const game = games[gameId];
+            // A rematched game is finished for good; its final standings stay as they were
+            if (game.rematchGameId) continue;
             if (
                 game.players.includes(socket.playerName) ||
                 (game.spectators || []).includes(socket.playerName)
@@ -675,6 +788,31 @@ io.on('connection', (socket) => {
     });
 });
 
+// Restored games have no connected sockets yet: resume any running phase timer and
+// give everyone the usual grace period to reconnect
+for (const gameId in games) {
+    const game = games[gameId];
+    game.settings = { ...defaultSettings(), ...game.settings };
+    // Drop packs that were removed from packs/ since the snapshot was taken
+    const knownPacks = game.settings.questionPacks.filter(id => questionPacks[id]);
+    game.settings.questionPacks = knownPacks.length > 0 ? knownPacks : defaultSettings().questionPacks;
+    syncPhaseTimer(gameId);
+    // A round start that was waiting on its questions when the server stopped
+    if (game.awaitingQuestions) {
+        supplyQuestions(gameId, { reason: 'round', count: roundQuestionCount(game) });
+    }
+    if (game.rematchGameId) continue;
+    [...game.players, ...(game.spectators || [])]
+        .filter(name => !isBot(game, name))
+        .forEach(name => handlePlayerLeave(gameId, name, false));
+    scheduleBotMoves(gameId);
+}
+
+// Warm the default theme plus every restored game's theme so the first rounds don't wait
+new Set([defaultSettings().questionPacks, ...Object.values(games).map(g => g.settings.questionPacks)]
+    .map(getThemeKey))
+    .forEach(themeKey => warmQuestionCache(themeKey.split('+')));
+
 const port = process.env.PORT || 3000;
 server.listen(port, () => {
     console.log(`Server running on port ${port}`);
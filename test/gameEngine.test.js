@@ -0,0 +1,393 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameEngine, pendingMove, guessKind } = require('../lib/gameEngine');
+const { MAX_BOTS, botRanking, botGuess } = require('../lib/bots');
+
+// Park-Miller generator, so a seed always deals the same shuffles, targets and bot moves
+function seededRandom(seed) {
+    let state = seed % 2147483647 || 1;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+// A game driven straight through the engine. Questions come from a numbered source,
+// every questionsNeeded is answered at once, and the clock only moves when told to.
+function createTable({ seed = 1, players = ['A', 'B', 'C'], settings = {}, questionSource } = {}) {
+    const random = seededRandom(seed);
+    let clock = 1000;
+    let questionNumber = 0;
+    const nextQuestions = questionSource || ((count) => Array.from({ length: count }, () => `Who is the most likely to pass test ${++questionNumber}?`));
+    const engine = createGameEngine({ random, now: () => clock });
+    const table = {
+        random,
+        game: engine.createGame(players[0], `token-${players[0]}`),
+        events: [],
+        tick(ms) {
+            clock += ms;
+        },
+        dispatch(action) {
+            const result = engine.dispatch(table.game, action);
+            table.game = result.game;
+            table.events.push(...result.events);
+            for (const event of result.events) {
+                if (event.type !== 'questionsNeeded') continue;
+                const questions = nextQuestions(event.count);
+                table.dispatch(event.reason === 'round'
+                    ? { type: 'startRound', questions }
+                    : { type: 'offerQuestions', player: event.player, questions });
+            }
+            return result;
+        },
+        eventsOf(type) {
+            return table.events.filter(event => event.type === type);
+        }
+    };
+    players.slice(1).forEach(player => table.dispatch({ type: 'join', player, sessionToken: `token-${player}` }));
+    if (Object.keys(settings).length > 0) {
+        const result = table.dispatch({ type: 'updateSettings', player: players[0], settings, packIds: ['classic', 'wholesome'] });
+        assert.equal(result.error, null);
+    }
+    return table;
+}
+
+// Everyone plays like a bot; the owner moves reveals along. Stops at game over or after `maxSteps`
+function playUntilOver(table, maxSteps = 500) {
+    for (let step = 0; step < maxSteps && table.game.state !== 'gameOver'; step++) {
+        const { game } = table;
+        const player = game.players.find(name => pendingMove(game, name));
+        if (player && pendingMove(game, player) === 'ranking') {
+            table.dispatch({ type: 'submitRanking', player, ranking: botRanking(player, game.players, table.random) });
+        } else if (player) {
+            const guess = botGuess(player, { kind: guessKind(game), players: game.players, target: game.currentTarget }, table.random);
+            table.dispatch({ type: 'submitGuess', player, guess });
+        } else if (game.state === 'reveal') {
+            table.dispatch({ type: 'nextReveal', player: game.owner });
+        } else {
+            assert.fail(`Game stuck in ${game.state}`);
+        }
+    }
+    return table.game;
+}
+
+function start(table) {
+    table.dispatch({ type: 'startGame', player: table.game.owner });
+    return table.game;
+}
+
+test('a classic game plays every ranker each round and ends after the set rounds', () => {
+    const table = createTable({ settings: { rounds: 2, maxWager: 0 } });
+    start(table);
+    assert.equal(table.game.state, 'ranking');
+    assert.equal(new Set(Object.values(table.game.questionAssignments)).size, 3);
+
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'rounds');
+    assert.equal(game.round, 2);
+    assert.equal(game.history.length, 2);
+    for (const round of game.history) {
+        assert.deepEqual(round.rankers.map(entry => entry.ranker).sort(), ['A', 'B', 'C']);
+    }
+    assert.equal(game.usedQuestions.size, 6);
+    assert.equal(table.eventsOf('questionsUsed').flatMap(event => event.questions).length, 6);
+});
+
+test('the same seed plays the same game', () => {
+    const play = () => {
+        const table = createTable({ seed: 42, settings: { rounds: 3, scoring: 'partial', targetsPerReveal: 2 } });
+        start(table);
+        return playUntilOver(table);
+    };
+    const first = play();
+    const second = play();
+    assert.deepEqual(second.points, first.points);
+    assert.deepEqual(second.history, first.history);
+});
+
+test('dispatch leaves the old state alone', () => {
+    const table = createTable();
+    const before = table.game;
+    const snapshot = structuredClone(before);
+    start(table);
+    assert.notEqual(table.game, before);
+    assert.deepEqual(before, snapshot);
+});
+
+test('refused and ignored actions return the state unchanged', () => {
+    const table = createTable();
+    const before = table.game;
+    const refused = table.dispatch({ type: 'startGame', player: 'B' });
+    assert.equal(refused.error, 'Only the game owner can start the game');
+    assert.equal(refused.accepted, false);
+    assert.equal(table.game, before);
+
+    const ignored = table.dispatch({ type: 'submitGuess', player: 'A', guess: 1 });
+    assert.equal(ignored.error, null);
+    assert.equal(ignored.accepted, false);
+    assert.equal(table.game, before);
+});
+
+test('settings refuse keys the schema does not define', () => {
+    const table = createTable();
+    for (const key of ['constructor', 'toString', 'roundz']) {
+        const result = table.dispatch({ type: 'updateSettings', player: 'A', settings: { [key]: 1 } });
+        assert.equal(result.error, `Unknown setting: ${key}`);
+    }
+});
+
+test('a whole-ranking reveal takes full orders and has no target', () => {
+    const table = createTable({ settings: { rounds: 1, revealMode: 'fullRanking' } });
+    start(table);
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'rounds');
+    for (const entry of game.history[0].rankers) {
+        assert.equal(entry.reveals.length, 1);
+        assert.equal(entry.reveals[0].target, null);
+        Object.values(entry.reveals[0].guesses).forEach(guess => assert.equal(guess.length, 3));
+        assert.equal(entry.ranking.length, 3);
+    }
+});
+
+test('a whole-ranking guess rejects wagers', () => {
+    const table = createTable({ settings: { revealMode: 'fullRanking' } });
+    start(table);
+    ['A', 'B', 'C'].forEach(player => table.dispatch({ type: 'submitRanking', player, ranking: ['A', 'B', 'C'] }));
+    const guesser = table.game.players.find(name => name !== table.game.currentRanker);
+    const result = table.dispatch({ type: 'submitGuess', player: guesser, guess: ['A', 'B', 'C'], wager: 1 });
+    assert.equal(result.error, 'Wagers are off when guessing the whole ranking');
+});
+
+test('a consensus round shares one question and reveals the group ranking', () => {
+    const table = createTable({ settings: { rounds: 2, gameMode: 'consensus' } });
+    start(table);
+    assert.deepEqual(table.eventsOf('questionsNeeded').map(event => event.count), [1]);
+    assert.equal(new Set(Object.values(table.game.questionAssignments)).size, 1);
+
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'rounds');
+    for (const round of game.history) {
+        assert.equal(round.rankers.length, 1);
+        assert.equal(round.rankers[0].ranker, null);
+    }
+    assert.equal(game.usedQuestions.size, 2);
+});
+
+test('rerolls are off in a consensus round', () => {
+    const table = createTable({ settings: { gameMode: 'consensus' } });
+    start(table);
+    const result = table.dispatch({ type: 'rerollQuestion', player: 'B' });
+    assert.equal(result.error, 'Everyone shares one question this round, so rerolls are off');
+});
+
+test('an anonymous round asks whose ranking it is', () => {
+    const table = createTable({ settings: { rounds: 1, gameMode: 'anonymous' } });
+    start(table);
+    ['A', 'B', 'C'].forEach(player => table.dispatch({ type: 'submitRanking', player, ranking: ['A', 'B', 'C'] }));
+    assert.equal(guessKind(table.game), 'ranker');
+    const ranker = table.game.currentRanker;
+    const guesser = table.game.players.find(name => name !== ranker);
+    assert.equal(table.dispatch({ type: 'submitGuess', player: guesser, guess: guesser }).error, 'Invalid guess');
+
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'rounds');
+    for (const entry of game.history[0].rankers) {
+        Object.entries(entry.reveals[0].guesses).forEach(([player, guess]) => assert.notEqual(guess, player));
+    }
+});
+
+test('phase timers fill in missing rankings and guesses and move reveals along', () => {
+    const table = createTable({ settings: { rounds: 1, rankingSeconds: 30, guessingSeconds: 20, revealSeconds: 5 } });
+    start(table);
+    assert.equal(table.game.phaseDuration, 30000);
+    assert.equal(table.game.phaseDeadline, 1000 + 30000);
+
+    table.dispatch({ type: 'submitRanking', player: 'A', ranking: ['A', 'B', 'C'] });
+    assert.equal(table.dispatch({ type: 'phaseTimeout', phase: 'guessing' }).accepted, false);
+    table.tick(30000);
+    table.dispatch({ type: 'phaseTimeout', phase: 'ranking' });
+    assert.equal(table.game.state, 'guessing');
+    assert.deepEqual(table.game.rankings.A, ['A', 'B', 'C']);
+    ['B', 'C'].forEach(player => assert.equal(table.game.rankings[player].length, 3));
+    assert.equal(table.game.phaseDeadline, 31000 + 20000);
+
+    table.dispatch({ type: 'phaseTimeout', phase: 'guessing' });
+    assert.equal(table.game.state, 'reveal');
+    const reveal = table.game.history[0].rankers[0].reveals[0];
+    Object.values(reveal.guesses).forEach(guess => assert.equal(guess, null));
+
+    table.dispatch({ type: 'phaseTimeout', phase: 'reveal' });
+    assert.equal(table.game.state, 'guessing');
+    assert.equal(table.game.currentRevealIndex, 1);
+});
+
+test('too few questions for the first round leave the game in the waiting room', () => {
+    let asked = null;
+    const table = createTable({
+        questionSource: (count) => {
+            asked = count;
+            return [];
+        }
+    });
+    start(table);
+    assert.equal(asked, 3);
+    assert.equal(table.game.state, 'waiting');
+    assert.deepEqual(table.eventsOf('error').map(event => event.message), ['No more unique questions available.']);
+    assert.equal(table.game.awaitingQuestions, false);
+});
+
+test('a round that runs out of questions ends the game', () => {
+    let left = 3;
+    const table = createTable({
+        questionSource: (count) => {
+            const questions = Array.from({ length: Math.min(count, left) }, (_, i) => `Who is the most likely to be question ${left - i}?`);
+            left -= questions.length;
+            return questions;
+        }
+    });
+    start(table);
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'questions');
+    assert.equal(game.round, 1);
+});
+
+test('rerolls spend the round budget, refund an empty draw and offer choices', () => {
+    const table = createTable({ settings: { rerollsPerRound: 2, questionChoices: 1 } });
+    start(table);
+    const before = table.game.questionAssignments.B;
+    const rerolled = table.dispatch({ type: 'rerollQuestion', player: 'B' });
+    assert.equal(rerolled.onlyFor, 'B');
+    assert.notEqual(table.game.questionAssignments.B, before);
+    table.dispatch({ type: 'rerollQuestion', player: 'B' });
+    assert.equal(table.dispatch({ type: 'rerollQuestion', player: 'B' }).error, 'No rerolls left this round');
+
+    const offers = createTable({ settings: { questionChoices: 3 } });
+    start(offers);
+    const kept = offers.game.questionAssignments.C;
+    offers.dispatch({ type: 'rerollQuestion', player: 'C' });
+    const offered = offers.game.questionOffers.C;
+    assert.equal(offered.length, 3);
+    assert.equal(offers.game.questionAssignments.C, kept);
+    assert.equal(offers.dispatch({ type: 'pickQuestion', player: 'C', choice: 5 }).error, 'Invalid choice');
+    offers.dispatch({ type: 'pickQuestion', player: 'C', choice: 2 });
+    assert.equal(offers.game.questionAssignments.C, offered[2]);
+    assert.equal(offers.game.questionOffers.C, undefined);
+
+    const empty = createTable({ questionSource: (count) => (count === 3 ? ['q1?', 'q2?', 'q3?'] : []) });
+    start(empty);
+    empty.dispatch({ type: 'rerollQuestion', player: 'A' });
+    assert.equal(empty.game.rerollsUsed.A, 0);
+    assert.deepEqual(empty.eventsOf('error').map(event => [event.to, event.action]), [['A', 'rerollQuestion']]);
+});
+
+test('a ranker who leaves mid-guessing has their reveal skipped', () => {
+    const table = createTable({ players: ['A', 'B', 'C', 'D'] });
+    start(table);
+    ['A', 'B', 'C', 'D'].forEach(player => table.dispatch({ type: 'submitRanking', player, ranking: ['A', 'B', 'C', 'D'] }));
+    const ranker = table.game.currentRanker;
+    const revealIndex = table.game.currentRevealIndex;
+    table.dispatch({ type: 'removePlayer', player: ranker });
+    assert.equal(table.game.state, 'guessing');
+    assert.equal(table.game.currentRevealIndex, revealIndex + 1);
+    assert.notEqual(table.game.currentRanker, ranker);
+    Object.values(table.game.rankings).forEach(ranking => assert.equal(ranking.includes(ranker), false));
+});
+
+test('a target who leaves is replaced and the last missing guess reveals', () => {
+    const table = createTable({ seed: 3, players: ['A', 'B', 'C', 'D'], settings: { rankerCanBeTarget: false } });
+    start(table);
+    ['A', 'B', 'C', 'D'].forEach(player => table.dispatch({ type: 'submitRanking', player, ranking: ['A', 'B', 'C', 'D'] }));
+    const { currentRanker, currentTarget } = table.game;
+    table.dispatch({ type: 'removePlayer', player: currentTarget });
+    assert.notEqual(table.game.currentTarget, currentTarget);
+    assert.notEqual(table.game.currentTarget, currentRanker);
+    assert.equal(table.game.actualPosition, table.game.rankings[currentRanker].indexOf(table.game.currentTarget) + 1);
+
+    const target = table.game.currentTarget;
+    const other = table.game.players.find(name => name !== currentRanker && name !== target);
+    table.dispatch({ type: 'submitGuess', player: target, guess: 1 });
+    table.dispatch({ type: 'removePlayer', player: other });
+    assert.equal(table.game.state, 'reveal');
+});
+
+test('the game ends when only one player is left', () => {
+    const table = createTable({ players: ['A', 'B'] });
+    start(table);
+    table.dispatch({ type: 'submitRanking', player: 'A', ranking: ['A', 'B'] });
+    table.dispatch({ type: 'removePlayer', player: 'B' });
+    assert.equal(table.game.state, 'gameOver');
+    assert.equal(table.game.endReason, 'players');
+});
+
+test('a leaving owner hands the game to the next human, and the last human empties it', () => {
+    const table = createTable({ players: ['A', 'B'] });
+    table.dispatch({ type: 'addBot', player: 'A' });
+    table.dispatch({ type: 'removePlayer', player: 'A' });
+    assert.equal(table.game.owner, 'B');
+    assert.deepEqual(table.eventsOf('ownerChanged').map(event => event.newOwner), ['B']);
+    table.dispatch({ type: 'removePlayer', player: 'B' });
+    assert.equal(table.eventsOf('gameEmpty').length, 1);
+});
+
+test('a banned player cannot come back under the same name or session', () => {
+    const table = createTable();
+    table.dispatch({ type: 'banPlayer', player: 'A', target: 'C' });
+    assert.deepEqual(table.eventsOf('playerRemoved'), [{ type: 'playerRemoved', player: 'C', reason: 'banned' }]);
+    assert.equal(table.dispatch({ type: 'join', player: 'C', sessionToken: 'x' }).error, 'You have been banned from this game');
+    assert.equal(table.dispatch({ type: 'join', player: 'Zed', token: 'token-C', sessionToken: 'y' }).error, 'You have been banned from this game');
+});
+
+test('names that would clash with Object.prototype cannot join', () => {
+    const table = createTable();
+    for (const player of ['__proto__', 'constructor']) {
+        const result = table.dispatch({ type: 'join', player, sessionToken: `token-${player}` });
+        assert.equal(result.error, 'That name is reserved, pick another');
+        assert.deepEqual(table.game.players, ['A', 'B', 'C']);
+    }
+    assert.deepEqual(Object.keys(table.game.sessionTokens), ['A', 'B', 'C']);
+});
+
+test('a rematch keeps the group, settings, bans and used questions with fresh points', () => {
+    const table = createTable({ settings: { rounds: 1, maxWager: 0 } });
+    table.dispatch({ type: 'addBot', player: 'A' });
+    table.dispatch({ type: 'banPlayer', player: 'A', target: 'C' });
+    start(table);
+    const over = playUntilOver(table);
+    const result = table.dispatch({ type: 'rematch', player: 'A', rematchGameId: 'next1' });
+    assert.equal(result.accepted, true);
+    assert.equal(table.game.rematchGameId, 'next1');
+    const [{ gameId, game }] = table.eventsOf('rematchCreated');
+    assert.equal(gameId, 'next1');
+    assert.equal(game.state, 'waiting');
+    assert.deepEqual([...game.players].sort(), [...over.players].sort());
+    assert.deepEqual(game.bots, ['Beep']);
+    assert.deepEqual(game.bannedNames, ['C']);
+    assert.deepEqual(game.settings, over.settings);
+    assert.deepEqual([...game.usedQuestions], [...over.usedQuestions]);
+    Object.values(game.points).forEach(points => assert.equal(points, 0));
+    assert.equal(game.sessionTokens.B, 'token-B');
+
+    assert.equal(table.dispatch({ type: 'rematch', player: 'A', rematchGameId: 'next2' }).accepted, false);
+});
+
+test('bots fill seats up to the limit and play whole games', () => {
+    const table = createTable({ players: ['A'], settings: { rounds: 2, targetsPerReveal: 2 } });
+    for (let i = 0; i < MAX_BOTS; i++) table.dispatch({ type: 'addBot', player: 'A' });
+    assert.equal(table.dispatch({ type: 'addBot', player: 'A' }).error, `A game can have up to ${MAX_BOTS} bots`);
+    assert.equal(table.game.players.length, MAX_BOTS + 1);
+    assert.equal(table.dispatch({ type: 'transferHost', player: 'A', target: 'Beep' }).error, 'Bots cannot host');
+
+    start(table);
+    const game = playUntilOver(table);
+    assert.equal(game.endReason, 'rounds');
+    assert.equal(game.history[1].rankers.length, MAX_BOTS + 1);
+});
+
+test('kicking the only bot ends a running game', () => {
+    const table = createTable({ players: ['A'] });
+    table.dispatch({ type: 'addBot', player: 'A' });
+    start(table);
+    table.dispatch({ type: 'kickPlayer', player: 'A', target: 'Beep' });
+    assert.equal(table.game.state, 'gameOver');
+    assert.equal(table.game.endReason, 'players');
+});
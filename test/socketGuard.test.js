@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSocketGuard } = require('../lib/socketGuard');
+
+// Just enough of a Socket.io socket to run the guard's middleware against
+function createSocket() {
+    const socket = {
+        id: 'socket-1',
+        handshake: { address: '10.0.0.1', headers: {} },
+        rejections: [],
+        use(middleware) {
+            socket.middleware = middleware;
+        },
+        on() {},
+        emit(event, payload) {
+            if (event === 'requestRejected') socket.rejections.push(payload);
+        },
+        // Whether the event got through to its handler
+        send(event, payload) {
+            let passed = false;
+            socket.middleware([event, payload], () => {
+                passed = true;
+            });
+            return passed;
+        }
+    };
+    createSocketGuard({})(socket);
+    return socket;
+}
+
+test('well-formed events reach their handler', () => {
+    const socket = createSocket();
+    assert.equal(socket.send('createGame', 'Alice'), true);
+    assert.equal(socket.send('joinGame', { gameId: 'abc123', playerName: 'Bob' }), true);
+    assert.deepEqual(socket.rejections, []);
+});
+
+test('names that would clash with Object.prototype are refused', () => {
+    const socket = createSocket();
+    for (const name of ['__proto__', 'constructor']) {
+        assert.equal(socket.send('createGame', name), false);
+        assert.equal(socket.send('joinGame', { gameId: 'abc123', playerName: name }), false);
+        assert.equal(socket.send('kickPlayer', { gameId: 'abc123', playerName: name }), false);
+    }
+    assert.equal(socket.rejections.length, 6);
+    assert.ok(socket.rejections.every(rejection => rejection.message === 'Name is reserved, pick another'));
+});
+
+test('game IDs must look like generated ones', () => {
+    const socket = createSocket();
+    assert.equal(socket.send('startGame', 'abc-123'), false);
+    assert.equal(socket.send('startGame', 'ABC'), false);
+    assert.deepEqual(socket.rejections.map(rejection => rejection.message), ['Game ID is not valid', 'Game ID is not valid']);
+});